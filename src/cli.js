@@ -0,0 +1,238 @@
+// @ts-check
+
+/**
+ * @fileoverview Implementation of the `timeid` command-line tool.
+ * Kept separate from bin/timeid.js so it can be driven with fake streams in tests.
+ */
+
+import { parseArgs } from 'node:util';
+import { createInterface } from 'node:readline';
+import { timeID, timeIDr, TimeIDParseError } from './timeID.js';
+
+// --- EXIT CODES ---
+export const EXIT_OK = 0;
+export const EXIT_INVALID = 1;
+export const EXIT_USAGE = 2;
+
+const FORMATS = ['text', 'json', 'ndjson'];
+const MAX_COUNT = 1000000;
+// Suffix lengths newRND produces; it clamps anything outside them
+const MIN_LENGTH = 12;
+const MAX_LENGTH = 1024;
+const MAX_TIME = 281474976710655; // 2^48 - 1, the last ms of the 8-char prefix
+// Date.parse accepts loose forms ('-5', 'May 1') in engine-specific ways; only ISO 8601 is taken
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const USAGE = `Usage: timeid <command> [options]
+
+Commands:
+  new                 Generate IDs
+    -n, --count <n>       Number of IDs (default 1, max 1000000)
+    -l, --length <n>      Suffix length, 12-1024 (default 12)
+    -d, --delimiter <s>   Delimiter between time and suffix (default "")
+    -f, --format <fmt>    text | json | ndjson (default text)
+    -m, --monotonic       Strictly ascending output
+
+  decode [ids...]     Decode IDs from arguments, or from stdin (one per line)
+    -d, --delimiter <s>   Expected delimiter (default "")
+    --json                JSON output
+
+  range <start> [end] Boundary IDs for a time range (inclusive)
+    -l, --length <n>      Suffix length, 12-1024 (default 12)
+    -d, --delimiter <s>   Delimiter (default "")
+    --json                JSON output
+
+  encode [dates...]   Encode dates (ISO 8601 or epoch ms) into 8-char time prefixes (default: now)
+    --json                JSON output
+
+Exit codes: 0 ok, 1 invalid ID, 2 usage error.
+`;
+
+/**
+ * Thrown for bad command-line input; reported with the usage hint and EXIT_USAGE.
+ */
+class UsageError extends Error {}
+
+/**
+ * @typedef {Object} CliIO
+ * @property {NodeJS.ReadableStream & { isTTY?: boolean }} stdin
+ * @property {{ write: (chunk: string) => any }} stdout
+ * @property {{ write: (chunk: string) => any }} stderr
+ */
+
+/**
+ * Runs `fn`, reporting a RangeError (e.g. a time past the 8-char prefix) as a usage error.
+ * @template T
+ * @param {() => T} fn
+ * @returns {T}
+ */
+const asUsage = function (fn) {
+    try {
+        return fn();
+    } catch (e) {
+        if (e instanceof RangeError) throw new UsageError(e.message);
+        throw e;
+    }
+}
+
+const intOption = function (value, name, fallback, min = 0, max = Number.MAX_SAFE_INTEGER) {
+    if (value === undefined) return fallback;
+    if (!/^\d+$/.test(value)) throw new UsageError(`--${name} must be a non-negative integer, received: '${value}'`);
+    const n = Number(value);
+    if (n < min || n > max) throw new UsageError(`--${name} must be between ${min} and ${max}, received: '${value}'`);
+    return n;
+}
+
+/**
+ * Parses an ISO 8601 date or an epoch-ms integer within the 8-char prefix range.
+ * @param {string} value
+ */
+const parseDate = function (value) {
+    const ms = /^\d+$/.test(value) ? Number(value) : (ISO_DATE.test(value) ? Date.parse(value) : NaN);
+    if (Number.isNaN(ms)) throw new UsageError(`Invalid date (expected ISO 8601 or epoch ms): '${value}'`);
+    if (ms < 0 || ms > MAX_TIME) throw new UsageError(`Date outside the 8-char prefix range (0 to ${MAX_TIME} ms): '${value}'`);
+    return ms;
+}
+
+const commandNew = function (args, io) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            count: { type: 'string', short: 'n' },
+            length: { type: 'string', short: 'l' },
+            delimiter: { type: 'string', short: 'd', default: '' },
+            format: { type: 'string', short: 'f', default: 'text' },
+            monotonic: { type: 'boolean', short: 'm', default: false }
+        }
+    });
+    const count = intOption(values.count, 'count', 1, 0, MAX_COUNT);
+    const length = intOption(values.length, 'length', 12, MIN_LENGTH, MAX_LENGTH);
+    if (!FORMATS.includes(values.format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}, received: '${values.format}'`);
+
+    const ids = timeIDr.newIDs(count, { length, delimiter: values.delimiter, ascending: values.monotonic });
+    if (values.format === 'json') io.stdout.write(JSON.stringify(ids) + '\n');
+    else if (values.format === 'ndjson') io.stdout.write(ids.map((id) => JSON.stringify({ id }) + '\n').join(''));
+    else io.stdout.write(ids.map((id) => id + '\n').join(''));
+    return EXIT_OK;
+}
+
+/**
+ * Decodes one ID into a printable result.
+ */
+const decodeOne = function (id, delimiter) {
+    try {
+        const parsed = timeIDr.parse(id, { delimiter });
+        return { id, valid: true, time: parsed.date.toISOString(), epoch: parsed.time, randomness: parsed.randomness };
+    } catch (e) {
+        if (!(e instanceof TimeIDParseError)) throw e;
+        return { id, valid: false, error: { code: e.code, message: e.message, offset: e.offset } };
+    }
+}
+
+const commandDecode = async function (args, io) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            delimiter: { type: 'string', short: 'd', default: '' },
+            json: { type: 'boolean', default: false }
+        }
+    });
+
+    let ids = positionals;
+    if (ids.length === 0) {
+        if (io.stdin.isTTY) throw new UsageError('decode expects IDs as arguments or on stdin');
+        ids = [];
+        for await (const line of createInterface({ input: io.stdin, crlfDelay: Infinity })) {
+            const trimmed = line.trim();
+            if (trimmed.length > 0) ids.push(trimmed);
+        }
+    }
+
+    const results = ids.map((id) => decodeOne(id, values.delimiter));
+    if (values.json) {
+        io.stdout.write(JSON.stringify(results, null, 2) + '\n');
+    } else {
+        for (const r of results) {
+            if (r.valid) io.stdout.write(`${r.id}\t${r.time}\t${r.epoch}\t${r.randomness}\n`);
+            else io.stderr.write(`${r.id}\tinvalid: ${r.error.code} (${r.error.message})\n`);
+        }
+    }
+    return results.every((r) => r.valid) ? EXIT_OK : EXIT_INVALID;
+}
+
+const commandRange = function (args, io) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            length: { type: 'string', short: 'l' },
+            delimiter: { type: 'string', short: 'd', default: '' },
+            json: { type: 'boolean', default: false }
+        }
+    });
+    if (positionals.length < 1 || positionals.length > 2) throw new UsageError('range expects <start> [end]');
+
+    const start = parseDate(positionals[0]);
+    const end = positionals.length > 1 ? parseDate(positionals[1]) : start;
+    if (start > end) throw new UsageError('range expects start <= end');
+
+    const length = intOption(values.length, 'length', 12, MIN_LENGTH, MAX_LENGTH);
+    const range = asUsage(() => timeIDr.rangeFor(start, end, length, values.delimiter));
+    const prefix = asUsage(() => timeID.timePrefix(start, end));
+    if (values.json) {
+        io.stdout.write(JSON.stringify({ start: new Date(start).toISOString(), end: new Date(end).toISOString(), ...range, prefix }) + '\n');
+    } else {
+        // lt is null at the end of the 8-char range; gte alone bounds the range there
+        const lt = range.lt === null ? '' : `lt\t${range.lt}\n`;
+        io.stdout.write(`gte\t${range.gte}\nlte\t${range.lte}\n${lt}prefix\t${prefix}\n`);
+    }
+    return EXIT_OK;
+}
+
+const commandEncode = function (args, io) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: { json: { type: 'boolean', default: false } }
+    });
+
+    const times = positionals.length > 0 ? positionals.map(parseDate) : [Date.now()];
+    const results = times.map((ms) => ({ time: new Date(ms).toISOString(), epoch: ms, tID: asUsage(() => timeID.encodeTime(ms)) }));
+    if (values.json) io.stdout.write(JSON.stringify(results) + '\n');
+    else io.stdout.write(results.map((r) => r.tID + '\n').join(''));
+    return EXIT_OK;
+}
+
+const COMMANDS = { new: commandNew, decode: commandDecode, range: commandRange, encode: commandEncode };
+
+/**
+ * Runs the CLI and resolves to the process exit code.
+ * @param {string[]} argv Arguments after the executable (process.argv.slice(2)).
+ * @param {CliIO} io
+ * @returns {Promise<number>}
+ */
+export const run = async function (argv, io) {
+    const [command, ...args] = argv;
+    if (command === undefined || command === 'help' || command === '--help' || command === '-h') {
+        (command === undefined ? io.stderr : io.stdout).write(USAGE);
+        return command === undefined ? EXIT_USAGE : EXIT_OK;
+    }
+
+    const handler = COMMANDS[command];
+    if (!handler) {
+        io.stderr.write(`timeid: unknown command '${command}'\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    try {
+        return await handler(args, io);
+    } catch (e) {
+        // parseArgs reports unknown/malformed flags as TypeErrors with an ERR_PARSE_ARGS_* code
+        if (e instanceof UsageError || (e && typeof e.code === 'string' && e.code.startsWith('ERR_PARSE_ARGS'))) {
+            io.stderr.write(`timeid ${command}: ${e.message}\n`);
+            return EXIT_USAGE;
+        }
+        throw e;
+    }
+}
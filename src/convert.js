@@ -0,0 +1,331 @@
+// @ts-check
+
+/**
+ * @fileoverview Interoperability helpers for converting TimeIDs to and from other ID formats.
+ *
+ * Every conversion packs the random suffix most-significant-bit first, so the sort order
+ * of the source IDs is preserved whenever the target has room for all of the suffix bits.
+ * UUIDv7 and ULID keep the 48-bit millisecond timestamp intact; KSUID has second precision.
+ */
+
+import { timeID, timeIDr } from './timeID.js';
+
+const CHAR_DICT = timeID.CHAR_DICT;
+const CHAR_MAP = timeID.CHAR_MAP;
+
+/**
+ * Clamps a suffix length the same way newRND does (12..1024).
+ * @param {number} length
+ */
+const clampLength = function (length) {
+    return length < 12 ? 12 : (length > 1024 ? 1024 : length);
+}
+
+/**
+ * Decodes an ID, throwing instead of returning undefined.
+ * @param {string} tidr
+ * @param {string} delimiter
+ */
+const decodeStrict = function (tidr, delimiter) {
+    if (typeof tidr !== 'string') throw new TypeError(`Expected string, received: ${typeof tidr}`);
+    const decoded = timeIDr.decodeID(tidr, delimiter);
+    if (!decoded) throw new TypeError(`Invalid timeIDr: '${tidr}'`);
+    // Extended-prefix IDs can carry times that no 48-bit target format holds
+    if (decoded.time < 0 || decoded.time > 0xFFFFFFFFFFFF) throw new RangeError(`Time ${decoded.time} of '${tidr}' is outside the 48-bit range`);
+    return decoded;
+}
+
+/**
+ * Packs base-64 characters into an unsigned integer of exactly `bits` bits (MSB first).
+ * Missing bits are zero-filled; surplus low-order bits are dropped.
+ * @param {string} chars
+ * @param {number} bits
+ */
+const charsToBits = function (chars, bits) {
+    const take = Math.min(chars.length, Math.ceil(bits / 6));
+    let value = 0n;
+    for (let i = 0; i < take; i++) {
+        const v = CHAR_MAP[chars[i]];
+        if (v === undefined) throw new TypeError(`Invalid character '${chars[i]}' at suffix offset ${i}`);
+        value = (value << 6n) | BigInt(v);
+    }
+    const packed = take * 6;
+    return packed >= bits ? value >> BigInt(packed - bits) : value << BigInt(bits - packed);
+}
+
+/**
+ * Counts how many non-zero bits of `chars` fall past the first `bits` bits.
+ * Zero padding (e.g. from a previous lossless conversion) is not a loss.
+ * @param {string} chars
+ * @param {number} bits
+ */
+const droppedBits = function (chars, bits) {
+    const total = chars.length * 6;
+    if (total <= bits) return 0;
+    const extra = BigInt(total - bits);
+    return (charsToBits(chars, total) & ((1n << extra) - 1n)) === 0n ? 0 : total - bits;
+}
+
+/**
+ * Unpacks an unsigned integer of `bits` bits into `length` base-64 characters (MSB first).
+ * @param {bigint} value
+ * @param {number} bits
+ * @param {number} length
+ */
+const bitsToChars = function (value, bits, length) {
+    const total = length * 6;
+    let v = total >= bits ? value << BigInt(total - bits) : value >> BigInt(bits - total);
+    let str = '';
+    for (let i = 0; i < length; i++) {
+        str = CHAR_DICT[Number(v & 63n)] + str;
+        v >>= 6n;
+    }
+    return str;
+}
+
+// --- UUIDv7 ---
+// | unix_ts_ms (48) | ver (4) | rand_a (12) | var (2) | rand_b (62) |
+const UUID_RAND_BITS = 74;
+const UUID_RE = /^[0-9a-f]{8}-?[0-9a-f]{4}-?7[0-9a-f]{3}-?[89ab][0-9a-f]{3}-?[0-9a-f]{12}$/i;
+const MASK_62 = (1n << 62n) - 1n;
+
+/**
+ * Converts a timeIDr into a UUIDv7 string.
+ * The timestamp maps directly to unix_ts_ms; the first 74 suffix bits fill rand_a/rand_b.
+ * Suffixes longer than 12 chars lose everything past bit 74 (see docs/conversions.md).
+ * @param {string} tidr
+ * @param {string} [delimiter='']
+ * @returns {string}
+ */
+export const toUUIDv7 = function (tidr, delimiter = '') {
+    const { time, randomness } = decodeStrict(tidr, delimiter);
+    const rand = charsToBits(randomness, UUID_RAND_BITS);
+    const value = (BigInt(time) << 80n) | (7n << 76n) | ((rand >> 62n) << 64n) | (2n << 62n) | (rand & MASK_62);
+    const hex = value.toString(16).padStart(32, '0');
+    return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20)}`;
+}
+
+/**
+ * Converts a UUIDv7 string into a timeIDr.
+ * The default length of 13 keeps all 74 random bits (the last char carries 2 bits),
+ * so UUID -> timeIDr -> UUID is lossless. Length 12 drops the 2 lowest bits.
+ * @param {string} uuid
+ * @param {number} [length=13]
+ * @param {string} [delimiter='']
+ * @returns {string}
+ */
+export const fromUUIDv7 = function (uuid, length = 13, delimiter = '') {
+    if (typeof uuid !== 'string' || !UUID_RE.test(uuid)) throw new TypeError(`Expected UUIDv7 string, received: '${uuid}'`);
+    const value = BigInt('0x' + uuid.replace(/-/g, ''));
+    const time = Number(value >> 80n);
+    const rand = (((value >> 64n) & 0xFFFn) << 62n) | (value & MASK_62);
+    return timeID.encodeTime(time) + delimiter + bitsToChars(rand, UUID_RAND_BITS, clampLength(length));
+}
+
+/**
+ * Generates a new UUIDv7 using the timeIDr encoder and SFC32 randomness.
+ * @param {Date | number} [dateTime=Date.now()]
+ * @returns {string}
+ */
+export const newUUIDv7 = function (dateTime = Date.now()) {
+    return toUUIDv7(timeIDr.newID(dateTime, 13));
+}
+
+// --- ULID ---
+// 10 chars of 48-bit ms time + 16 chars of 80 random bits, Crockford base32.
+const CROCKFORD = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CROCKFORD_LOOKUP = new Int8Array(128).fill(-1);
+for (let i = 0; i < CROCKFORD.length; i++) {
+    CROCKFORD_LOOKUP[CROCKFORD.charCodeAt(i)] = i;
+    CROCKFORD_LOOKUP[CROCKFORD.toLowerCase().charCodeAt(i)] = i;
+}
+// Crockford aliases for commonly mistyped characters
+for (const [alias, value] of [['I', 1], ['L', 1], ['O', 0], ['i', 1], ['l', 1], ['o', 0]]) {
+    CROCKFORD_LOOKUP[alias.charCodeAt(0)] = value;
+}
+const ULID_RAND_BITS = 80;
+
+/**
+ * Converts a timeIDr into a ULID string.
+ * Suffixes of up to 13 chars (78 bits) fit losslessly; longer suffixes keep their first 80 bits.
+ * @param {string} tidr
+ * @param {string} [delimiter='']
+ * @param {boolean} [strict=false] Throw RangeError instead of silently dropping suffix bits.
+ * @returns {string}
+ */
+export const toULID = function (tidr, delimiter = '', strict = false) {
+    const { time, randomness } = decodeStrict(tidr, delimiter);
+    const lost = droppedBits(randomness, ULID_RAND_BITS);
+    if (strict && lost > 0) throw new RangeError(`ULID conversion drops ${lost} suffix bits of '${tidr}'`);
+
+    let value = (BigInt(time) << 80n) | charsToBits(randomness, ULID_RAND_BITS);
+    let str = '';
+    for (let i = 0; i < 26; i++) {
+        str = CROCKFORD[Number(value & 31n)] + str;
+        value >>= 5n;
+    }
+    return str;
+}
+
+/**
+ * Converts a ULID string into a timeIDr.
+ * The default length of 14 (84 bits) keeps all 80 random bits; shorter lengths are lossy.
+ * @param {string} ulid
+ * @param {number} [length=14]
+ * @param {string} [delimiter='']
+ * @param {boolean} [strict=false] Throw RangeError if `length` cannot hold all 80 random bits.
+ * @returns {string}
+ */
+export const fromULID = function (ulid, length = 14, delimiter = '', strict = false) {
+    if (typeof ulid !== 'string' || ulid.length !== 26) throw new TypeError(`Expected 26-char ULID string, received: '${ulid}'`);
+    let value = 0n;
+    for (let i = 0; i < 26; i++) {
+        const code = ulid.charCodeAt(i);
+        const v = code < 128 ? CROCKFORD_LOOKUP[code] : -1;
+        if (v === -1) throw new TypeError(`Invalid ULID character '${ulid[i]}' at offset ${i}`);
+        value = (value << 5n) | BigInt(v);
+    }
+    if (value >> 128n) throw new TypeError(`ULID out of range (first char must be 0-7): '${ulid}'`);
+
+    const len = clampLength(length);
+    const rand = value & ((1n << 80n) - 1n);
+    if (strict && len * 6 < ULID_RAND_BITS && (rand & ((1n << BigInt(ULID_RAND_BITS - len * 6)) - 1n)) !== 0n) {
+        throw new RangeError(`Suffix length ${len} drops ${ULID_RAND_BITS - len * 6} random bits of '${ulid}'`);
+    }
+    return timeID.encodeTime(Number(value >> 80n)) + delimiter + bitsToChars(rand, ULID_RAND_BITS, len);
+}
+
+// --- KSUID ---
+// 4 bytes of seconds since 2014-05-13T16:53:20Z + 16 bytes of payload, base62 (27 chars).
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const KSUID_EPOCH_MS = 1400000000000;
+const KSUID_PAYLOAD_BITS = 128;
+
+/**
+ * Converts a timeIDr into a KSUID string.
+ * KSUID time has second precision, so the millisecond remainder is always dropped and IDs
+ * within the same second sort by suffix rather than by millisecond. Suffixes of up to
+ * 21 chars (126 bits) fit losslessly.
+ * @param {string} tidr
+ * @param {string} [delimiter='']
+ * @param {boolean} [strict=false] Throw RangeError if milliseconds or suffix bits would be dropped.
+ * @returns {string}
+ */
+export const toKSUID = function (tidr, delimiter = '', strict = false) {
+    const { time, randomness } = decodeStrict(tidr, delimiter);
+    const seconds = Math.floor((time - KSUID_EPOCH_MS) / 1000);
+    if (seconds < 0 || seconds > 0xFFFFFFFF) throw new RangeError(`Time ${time} is outside the KSUID range`);
+    if (strict) {
+        if (time % 1000 !== 0) throw new RangeError(`KSUID conversion drops ${time % 1000} ms of '${tidr}'`);
+        const lost = droppedBits(randomness, KSUID_PAYLOAD_BITS);
+        if (lost > 0) throw new RangeError(`KSUID conversion drops ${lost} suffix bits of '${tidr}'`);
+    }
+
+    let value = (BigInt(seconds) << 128n) | charsToBits(randomness, KSUID_PAYLOAD_BITS);
+    let str = '';
+    for (let i = 0; i < 27; i++) {
+        str = BASE62[Number(value % 62n)] + str;
+        value /= 62n;
+    }
+    return str;
+}
+
+/**
+ * Converts a KSUID string into a timeIDr.
+ * The time becomes the start of the KSUID second (ms = 0). The default length of 22
+ * (132 bits) keeps the full 128-bit payload.
+ * @param {string} ksuid
+ * @param {number} [length=22]
+ * @param {string} [delimiter='']
+ * @param {boolean} [strict=false] Throw RangeError if `length` cannot hold the full payload.
+ * @returns {string}
+ */
+export const fromKSUID = function (ksuid, length = 22, delimiter = '', strict = false) {
+    if (typeof ksuid !== 'string' || ksuid.length !== 27) throw new TypeError(`Expected 27-char KSUID string, received: '${ksuid}'`);
+    let value = 0n;
+    for (let i = 0; i < 27; i++) {
+        const v = BASE62.indexOf(ksuid[i]);
+        if (v === -1) throw new TypeError(`Invalid KSUID character '${ksuid[i]}' at offset ${i}`);
+        value = value * 62n + BigInt(v);
+    }
+    if (value >> 160n) throw new TypeError(`KSUID out of range: '${ksuid}'`);
+
+    const len = clampLength(length);
+    const payload = value & ((1n << 128n) - 1n);
+    if (strict && len * 6 < KSUID_PAYLOAD_BITS && (payload & ((1n << BigInt(KSUID_PAYLOAD_BITS - len * 6)) - 1n)) !== 0n) {
+        throw new RangeError(`Suffix length ${len} drops ${KSUID_PAYLOAD_BITS - len * 6} payload bits of '${ksuid}'`);
+    }
+    const time = KSUID_EPOCH_MS + Number(value >> 128n) * 1000;
+    return timeID.encodeTime(time) + delimiter + bitsToChars(payload, KSUID_PAYLOAD_BITS, len);
+}
+
+// --- BINARY ---
+// 6 bytes of big-endian ms time + the suffix packed at 6 bits per char (MSB first, zero-padded).
+const TIME_BYTES = 6;
+const MAX_SUFFIX_LENGTH = 1024;
+
+/**
+ * Packs a timeIDr into bytes whose unsigned byte order (memcmp) matches the string sort order.
+ * A 12-char suffix packs into 9 bytes (15 bytes total, versus 20 string chars).
+ * @param {string} tidr
+ * @param {string} [delimiter='']
+ * @returns {Uint8Array}
+ */
+export const toBytes = function (tidr, delimiter = '') {
+    const { time, randomness } = decodeStrict(tidr, delimiter);
+    if (randomness.length > MAX_SUFFIX_LENGTH) throw new RangeError(`Expected suffix length <= ${MAX_SUFFIX_LENGTH}, received: ${randomness.length}`);
+
+    const bytes = new Uint8Array(TIME_BYTES + Math.ceil(randomness.length * 6 / 8));
+    const hi = Math.floor(time / 0x100000000);
+    const lo = time >>> 0;
+    bytes[0] = hi >>> 8; bytes[1] = hi & 0xFF;
+    bytes[2] = lo >>> 24; bytes[3] = (lo >>> 16) & 0xFF; bytes[4] = (lo >>> 8) & 0xFF; bytes[5] = lo & 0xFF;
+
+    let acc = 0, bits = 0, j = TIME_BYTES;
+    for (let i = 0; i < randomness.length; i++) {
+        const v = CHAR_MAP[randomness[i]];
+        if (v === undefined) throw new TypeError(`Invalid character '${randomness[i]}' at suffix offset ${i}`);
+        acc = (acc << 6) | v; bits += 6;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes[j++] = acc >>> bits;
+            acc &= (1 << bits) - 1;
+        }
+    }
+    if (bits > 0) bytes[j] = acc << (8 - bits);
+    return bytes;
+}
+
+/**
+ * Unpacks bytes produced by toBytes into a TimeIDRandom.
+ * The suffix length defaults to the most chars the bytes can hold, floor(bits / 6). This is
+ * ambiguous only for lengths of the form 4n + 3 (e.g. 15), which must be passed explicitly.
+ * @param {Uint8Array} bytes
+ * @param {number} [length]
+ * @param {string} [delimiter='']
+ * @returns {InstanceType<typeof timeIDr>}
+ */
+export const fromBytes = function (bytes, length = undefined, delimiter = '') {
+    if (!(bytes instanceof Uint8Array)) throw new TypeError(`Expected instanceof Uint8Array, received: ${typeof bytes}`);
+    if (bytes.length < TIME_BYTES) throw new RangeError(`Expected at least ${TIME_BYTES} bytes, received: ${bytes.length}`);
+
+    const suffixBytes = bytes.length - TIME_BYTES;
+    const len = length === undefined ? Math.floor(suffixBytes * 8 / 6) : length;
+    if (!Number.isInteger(len) || len < 0 || len > MAX_SUFFIX_LENGTH || Math.ceil(len * 6 / 8) !== suffixBytes) {
+        throw new RangeError(`Suffix length ${len} does not match ${suffixBytes} suffix bytes`);
+    }
+
+    const time = ((bytes[0] << 8) | bytes[1]) * 0x100000000 + (((bytes[2] << 24) | (bytes[3] << 16) | (bytes[4] << 8) | bytes[5]) >>> 0);
+
+    let randomness = '';
+    let acc = 0, bits = 0, j = TIME_BYTES;
+    for (let i = 0; i < len; i++) {
+        if (bits < 6) {
+            acc = (acc << 8) | bytes[j++]; bits += 8;
+        }
+        bits -= 6;
+        randomness += CHAR_DICT[(acc >>> bits) & 0x3F];
+        acc &= (1 << bits) - 1;
+    }
+    return new timeIDr(new Date(time), time, timeID.encodeTime(time), randomness, delimiter);
+}
@@ -0,0 +1,148 @@
+// @ts-check
+
+/**
+ * @fileoverview Keyed, reversible obfuscation of timeIDr strings.
+ *
+ * A format-preserving Feistel cipher (FF1-style, HMAC-SHA-256 round function) runs over the
+ * alphabet digits of the time prefix and suffix together. The output has the same length,
+ * alphabet and delimiter position as the input, but neither its prefix nor its order reveals
+ * the creation time. Holders of the key recover the original sortable ID and its date.
+ * Needs `node:crypto` (available in Workers with the `nodejs_compat` flag).
+ */
+
+import { createHmac } from 'node:crypto';
+import { timeIDr, TimeIDAlphabet } from './timeID.js';
+
+const MIN_KEY_BYTES = 16;
+const DEFAULT_ROUNDS = 10;
+
+/**
+ * @typedef {Object} Obfuscator
+ * @property {(tidr: string) => string} encode Obfuscates an ID.
+ * @property {(opaque: string) => string} decode Recovers the original ID.
+ * @property {(opaque: string) => InstanceType<typeof timeIDr> | undefined} decodeID Recovers and decodes the original ID.
+ */
+
+/**
+ * Splits an ID around its delimiter into alphabet digit values, skipping the resolution tag.
+ * @param {string} str
+ * @param {number} head Length of the resolution tag (kept verbatim).
+ * @param {number} split Index of the delimiter (prefix length).
+ * @param {string} delimiter
+ * @param {TimeIDAlphabet} alphabet
+ */
+const toDigits = function (str, head, split, delimiter, alphabet) {
+    if (typeof str !== 'string') throw new TypeError(`Expected string, received: ${typeof str}`);
+    if (str.length <= split + delimiter.length || str.substring(split, split + delimiter.length) !== delimiter) {
+        throw new TypeError(`Expected ID with delimiter '${delimiter}' at offset ${split}, received: '${str}'`);
+    }
+    const chars = str.substring(head, split) + str.substring(split + delimiter.length);
+    const digits = new Array(chars.length);
+    for (let i = 0; i < chars.length; i++) {
+        const d = alphabet.decode(chars, i, i + 1);
+        if (d === -1) throw new TypeError(`Invalid character '${chars[i]}' in '${str}'`);
+        digits[i] = d;
+    }
+    return digits;
+}
+
+/**
+ * Joins digit values back into an ID, re-inserting the delimiter.
+ * @param {number[]} digits
+ * @param {number} split
+ * @param {string} delimiter
+ * @param {TimeIDAlphabet} alphabet
+ */
+const fromDigits = function (digits, split, delimiter, alphabet) {
+    let str = '';
+    for (let i = 0; i < digits.length; i++) {
+        if (i === split) str += delimiter;
+        str += alphabet.dict[digits[i]];
+    }
+    return str;
+}
+
+/**
+ * Creates an obfuscator bound to a secret key.
+ * @param {string | Uint8Array} key Secret key of at least 16 bytes.
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=''] Delimiter of the IDs; kept in place.
+ * @param {string} [options.tweak=''] Public context (e.g. the ID type); the same ID obfuscates differently per tweak.
+ * @param {import('./timeID.js').TimeIDGenerator} [options.generator] Generator whose format (prefix length, alphabet) the IDs use.
+ *   Defaults to the static timeIDr format.
+ * @param {number} [options.rounds=10] Feistel rounds (at least 8).
+ * @returns {Obfuscator}
+ */
+export const createObfuscator = function (key, { delimiter = '', tweak = '', generator = undefined, rounds = DEFAULT_ROUNDS } = {}) {
+    const keyBytes = typeof key === 'string' ? new TextEncoder().encode(key) : key;
+    if (!(keyBytes instanceof Uint8Array)) throw new TypeError(`Expected key of string|Uint8Array, received: ${typeof key}`);
+    if (keyBytes.length < MIN_KEY_BYTES) throw new RangeError(`Expected key of at least ${MIN_KEY_BYTES} bytes, received: ${keyBytes.length}`);
+    if (typeof delimiter !== 'string' || typeof tweak !== 'string') throw new TypeError('Expected delimiter and tweak of string');
+    if (!Number.isInteger(rounds) || rounds < 8) throw new RangeError(`Expected rounds of integer >= 8, received: ${rounds}`);
+
+    const alphabet = generator ? generator.alphabet : TimeIDAlphabet.BASE64;
+    const split = generator ? generator.prefixLength : 8;
+    // The resolution tag of a custom time format carries no time, so it stays in the clear
+    const head = generator ? generator.prefixLength - generator.timeWidth : 0;
+    const mask = alphabet.radix - 1;
+    const hmacKey = Buffer.from(keyBytes);
+
+    /**
+     * Round function: `m` pseudo-random digits from (round, length, tweak, B).
+     * @param {number} round
+     * @param {number} n Total digit count, so IDs of different lengths use unrelated permutations.
+     * @param {number[]} b
+     * @param {number} m
+     */
+    const prf = function (round, n, b, m) {
+        const input = `${round}|${n}|${tweak}|${fromDigits(b, -1, '', alphabet)}`;
+        const out = new Array(m);
+        for (let block = 0, i = 0; i < m; block++) {
+            const bytes = createHmac('sha256', hmacKey).update(`${block}|${input}`).digest();
+            for (let j = 0; j < bytes.length && i < m; j++) out[i++] = bytes[j] & mask;
+        }
+        return out;
+    }
+
+    /** @param {number[]} digits */
+    const encrypt = function (digits) {
+        const n = digits.length, u = n >> 1;
+        let a = digits.slice(0, u), b = digits.slice(u);
+        for (let r = 0; r < rounds; r++) {
+            const y = prf(r, n, b, a.length);
+            const c = a.map((d, i) => (d + y[i]) & mask);
+            a = b; b = c;
+        }
+        return a.concat(b);
+    }
+
+    /** @param {number[]} digits */
+    const decrypt = function (digits) {
+        const n = digits.length, u = n >> 1;
+        // After an even number of rounds the halves are back in their original widths
+        const m = rounds % 2 === 0 ? u : n - u;
+        let a = digits.slice(0, m), b = digits.slice(m);
+        for (let r = rounds - 1; r >= 0; r--) {
+            const c = b; b = a;
+            const y = prf(r, n, b, c.length);
+            a = c.map((d, i) => (d - y[i]) & mask);
+        }
+        return a.concat(b);
+    }
+
+    /**
+     * @param {(digits: number[]) => number[]} cipher
+     * @param {string} str
+     */
+    const apply = (cipher, str) => str.substring(0, head) + fromDigits(cipher(toDigits(str, head, split, delimiter, alphabet)), split - head, delimiter, alphabet);
+    const decode = (opaque) => apply(decrypt, opaque);
+
+    return Object.freeze({
+        encode: (tidr) => apply(encrypt, tidr),
+        decode,
+        decodeID: (opaque) => {
+            const tidr = decode(opaque);
+            return generator ? generator.decodeID(tidr, delimiter) : timeIDr.decodeID(tidr, delimiter);
+        }
+    });
+}
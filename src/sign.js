@@ -0,0 +1,101 @@
+// @ts-check
+
+/**
+ * @fileoverview HMAC-signed IDs, to tell a minted ID from a fabricated or tampered one without a lookup.
+ *
+ * A signed ID is `tidr + keyId + mac`: the key-id char names the signing key, and `mac` is a
+ * truncated HMAC-SHA-256 of `keyId + tidr`, packed 6 bits per CHAR_DICT char. The time prefix
+ * is untouched, so signed IDs still sort. Uses WebCrypto only, so it runs unchanged in Node.js and Workers.
+ */
+
+import { timeID } from './timeID.js';
+
+const MIN_KEY_BYTES = 16;
+const MIN_MAC_LENGTH = 8;
+const MAX_MAC_LENGTH = 42; // 42 * 6 = 252 bits, packed from the 256-bit digest
+const DEFAULT_MAC_LENGTH = 16;
+const TEXT_ENCODER = new TextEncoder();
+
+/**
+ * @typedef {Object} Signer
+ * @property {string} keyId Key-id char of the signing key.
+ * @property {number} length Signature length in chars (key-id char plus MAC).
+ * @property {(tidr: string) => Promise<string>} sign Appends the key-id char and MAC to an ID.
+ * @property {(signed: *) => Promise<boolean>} verify True if the signature is valid under any configured key.
+ * @property {(signed: *) => Promise<string | undefined>} open The unsigned ID if the signature is valid, otherwise undefined.
+ */
+
+/**
+ * Creates a signer over a set of keys. All keys verify; only `keyId` signs, so keys rotate by
+ * adding the new key, switching `keyId` to it, and dropping the old key once its IDs have expired.
+ * @param {Object<string, string | Uint8Array>} keys Secret keys of at least 16 bytes, by key-id char (a CHAR_DICT char).
+ * @param {Object} [options]
+ * @param {string} [options.keyId] Key-id char of the signing key. Defaults to the only key, if there is just one.
+ * @param {number} [options.length=16] MAC length in chars (8-42), 6 bits each.
+ * @returns {Signer}
+ */
+export const createSigner = function (keys, { keyId = undefined, length = DEFAULT_MAC_LENGTH } = {}) {
+    if (typeof keys !== 'object' || keys === null) throw new TypeError(`Expected keys of object, received: ${keys === null ? 'null' : typeof keys}`);
+    const ids = Object.keys(keys);
+    if (ids.length === 0) throw new RangeError('Expected at least one key');
+    if (!Number.isInteger(length) || length < MIN_MAC_LENGTH || length > MAX_MAC_LENGTH) {
+        throw new RangeError(`Expected length of ${MIN_MAC_LENGTH}-${MAX_MAC_LENGTH}, received: ${length}`);
+    }
+
+    /** @type {Map<string, Promise<CryptoKey>>} */
+    const cryptoKeys = new Map();
+    for (const id of ids) {
+        if (id.length !== 1 || !(id in timeID.CHAR_MAP)) throw new TypeError(`Expected key id of one CHAR_DICT char, received: '${id}'`);
+        const key = keys[id];
+        const bytes = typeof key === 'string' ? TEXT_ENCODER.encode(key) : key;
+        if (!(bytes instanceof Uint8Array)) throw new TypeError(`Expected key '${id}' of string|Uint8Array, received: ${typeof key}`);
+        if (bytes.length < MIN_KEY_BYTES) throw new RangeError(`Expected key '${id}' of at least ${MIN_KEY_BYTES} bytes, received: ${bytes.length}`);
+        cryptoKeys.set(id, crypto.subtle.importKey('raw', bytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']));
+    }
+
+    const signingId = keyId ?? (ids.length === 1 ? ids[0] : undefined);
+    if (signingId === undefined) throw new TypeError('Expected keyId when more than one key is given');
+    if (!cryptoKeys.has(signingId)) throw new RangeError(`Expected keyId of a configured key, received: '${signingId}'`);
+
+    /**
+     * @param {string} id Key-id char.
+     * @param {string} tidr
+     */
+    const mac = async function (id, tidr) {
+        const digest = new Uint8Array(await crypto.subtle.sign('HMAC', await cryptoKeys.get(id), TEXT_ENCODER.encode(id + tidr)));
+        // Pack the digest MSB first, so every char carries 6 fresh digest bits
+        let str = '', acc = 0, bits = 0;
+        for (let i = 0, byte = 0; i < length; i++) {
+            if (bits < 6) { acc = (acc << 8) | digest[byte++]; bits += 8; }
+            bits -= 6;
+            str += timeID.CHAR_DICT[(acc >>> bits) & 0x3F];
+            acc &= (1 << bits) - 1;
+        }
+        return str;
+    }
+
+    /** @param {*} signed */
+    const open = async function (signed) {
+        if (typeof signed !== 'string' || signed.length <= length + 1) return undefined;
+        const split = signed.length - length - 1;
+        const id = signed[split];
+        if (!cryptoKeys.has(id)) return undefined;
+        const tidr = signed.substring(0, split);
+        const expected = await mac(id, tidr);
+        // Compare every char so the time taken does not reveal the length of a matching prefix
+        let diff = 0;
+        for (let i = 0; i < length; i++) diff |= expected.charCodeAt(i) ^ signed.charCodeAt(split + 1 + i);
+        return diff === 0 ? tidr : undefined;
+    }
+
+    return Object.freeze({
+        keyId: signingId,
+        length: length + 1,
+        sign: async (tidr) => {
+            if (typeof tidr !== 'string') throw new TypeError(`Expected string, received: ${typeof tidr}`);
+            return tidr + signingId + await mac(signingId, tidr);
+        },
+        verify: async (signed) => (await open(signed)) !== undefined,
+        open
+    });
+}
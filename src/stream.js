@@ -0,0 +1,61 @@
+// @ts-check
+
+/**
+ * @fileoverview Stream adapters over the async ID iterator (timeIDr.stream / TimeIDGenerator#stream).
+ *
+ * Both adapters pull from the iterator on demand, so a slow consumer never causes IDs to
+ * pile up in memory. The web adapter works in Node.js and Cloudflare Workers; the Node
+ * adapter needs `node:stream` (available in Workers with the `nodejs_compat` flag).
+ */
+
+import { Readable } from 'node:stream';
+import { timeIDr } from './timeID.js';
+
+/**
+ * @typedef {Object} StreamOptions
+ * @property {number} [length=12]
+ * @property {string} [delimiter='']
+ * @property {number} [count=Infinity]
+ * @property {number} [rate=0] Maximum IDs per second (0 = unlimited).
+ * @property {boolean} [ascending=false]
+ * @property {AbortSignal} [signal]
+ * @property {number} [highWaterMark=16] IDs buffered ahead of the consumer.
+ * @property {{ stream: typeof timeIDr.stream }} [generator] A TimeIDGenerator to draw from instead of the default.
+ */
+
+/**
+ * @param {StreamOptions} options
+ */
+const iterate = function (options) {
+    const { generator, highWaterMark, ...streamOptions } = options;
+    return generator ? generator.stream(streamOptions) : timeIDr.stream(streamOptions);
+}
+
+/**
+ * Web ReadableStream of ID strings.
+ * Pipe through `TextEncoderStream` (after adding newlines) to use it as a Response body.
+ * @param {StreamOptions} [options]
+ * @returns {ReadableStream<string>}
+ */
+export const toReadableStream = function (options = {}) {
+    const iterator = iterate(options);
+    return new ReadableStream({
+        async pull(controller) {
+            const { value, done } = await iterator.next();
+            if (done) controller.close();
+            else controller.enqueue(value);
+        },
+        async cancel() {
+            await iterator.return(undefined);
+        }
+    }, { highWaterMark: options.highWaterMark ?? 16 });
+}
+
+/**
+ * Node.js object-mode Readable of ID strings.
+ * @param {StreamOptions} [options]
+ * @returns {Readable}
+ */
+export const toNodeReadable = function (options = {}) {
+    return Readable.from(iterate(options), { objectMode: true, highWaterMark: options.highWaterMark ?? 16 });
+}
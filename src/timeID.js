@@ -8,8 +8,13 @@
  * Optimization Focus:
  * - Zero-allocation hot paths.
  * - SFC32 PRNG (Simple Fast Counter) for maximum throughput.
+ * - Isolated, seedable TimeIDGenerator instances; the static timeIDr API runs on a default instance.
+ * - Opt-in CSPRNG path (buffered crypto.getRandomValues) sharing the same LUT encoding.
+ * - Optional 10-char extended time prefix for pre-1970 and far-future timestamps.
+ * - Deterministic name-based suffixes (SHA-256 via WebCrypto) for idempotent IDs.
  * - Double-Character Lookup Table (LUT) to reduce branching and concatenation by 50%.
  * - Int8Array for O(1) character decoding lookups.
+ * - Optional sub-millisecond (us/ns) precision chars after the 8-char ms prefix.
  * - Specialized Unrolled Paths for length 12 (Default) and 21 (Bit-Parity).
  */
 
@@ -37,43 +42,44 @@ for (let i = 0; i < 4096; i++) {
     DOUBLE_CHAR_DICT[i] = c1 + c2;
 }
 
-// --- PRNG: SFC32 ---
-let _a, _b, _c, _d;
-(function seedSFC32() {
-    _a = Date.now() >>> 0;
-    _b = (Math.random() * 0xFFFFFFFF) | 0;
-    _c = (Math.random() * 0xFFFFFFFF) | 0;
-    _d = 1;
-    for (let i = 0; i < 15; i++) {
-        let t = (_a + _b) | 0; _d = (_d + 1) | 0;
-        _a = _b ^ (_b >>> 9); _b = (_c + (_c << 3)) | 0;
-        _c = (_c << 21) | (_c >>> 11); _c = (_c + t) | 0;
-    }
-})();
+// --- CSPRNG: Buffered crypto.getRandomValues ---
+// Refilling 1024 words at a time amortises the native call across ~340 default suffixes.
+const SECURE_BUFFER_SIZE = 1024;
+const _secureBuffer = new Uint32Array(SECURE_BUFFER_SIZE);
+let _secureIndex = SECURE_BUFFER_SIZE;
 
-const nextInt32 = function() {
-    let t = (_a + _b) | 0; _d = (_d + 1) | 0;
-    _a = _b ^ (_b >>> 9); _b = (_c + (_c << 3)) | 0;
-    _c = (_c << 21) | (_c >>> 11); _c = (_c + t) | 0;
-    return (t + _d) | 0;
-}
+/**
+ * Shared random-word source backed by the platform CSPRNG.
+ * Exposes the same `nextInt32()` shape as a TimeIDGenerator so newRND can consume either.
+ */
+const SECURE_SOURCE = {
+    nextInt32() {
+        if (_secureIndex === SECURE_BUFFER_SIZE) {
+            crypto.getRandomValues(_secureBuffer);
+            _secureIndex = 0;
+        }
+        return _secureBuffer[_secureIndex++] | 0;
+    }
+};
 
 /**
  * Generates a random string of a specified length.
+ * @param {number} [length=12]
+ * @param {{ nextInt32: () => number }} [rng=DEFAULT_GENERATOR] Source of random 32-bit words (SFC32 or CSPRNG).
  */
-const newRND = function (length = 12) {
+const newRND = function (length = 12, rng = DEFAULT_GENERATOR) {
     // FAST PATH 1: Default length (12 chars)
     // 3 Random Ints -> 6 Double Lookups
     if (length === 12) {
-        let r = nextInt32();
+        let r = rng.nextInt32();
         let str = DOUBLE_CHAR_DICT[r & 0xFFF] +
             DOUBLE_CHAR_DICT[(r >>> 12) & 0xFFF];
 
-        r = nextInt32();
+        r = rng.nextInt32();
         str += DOUBLE_CHAR_DICT[r & 0xFFF] +
             DOUBLE_CHAR_DICT[(r >>> 12) & 0xFFF];
 
-        r = nextInt32();
+        r = rng.nextInt32();
         str += DOUBLE_CHAR_DICT[r & 0xFFF] +
             DOUBLE_CHAR_DICT[(r >>> 12) & 0xFFF];
 
@@ -84,22 +90,22 @@ const newRND = function (length = 12) {
     // 21 chars = 10 Double Lookups + 1 Single Lookup
     // Requires 5.25 Random Ints -> We fetch 6
     if (length === 21) {
-        let r = nextInt32();
+        let r = rng.nextInt32();
         let str = DOUBLE_CHAR_DICT[r & 0xFFF] + DOUBLE_CHAR_DICT[(r >>> 12) & 0xFFF]; // 4 chars
 
-        r = nextInt32();
+        r = rng.nextInt32();
         str += DOUBLE_CHAR_DICT[r & 0xFFF] + DOUBLE_CHAR_DICT[(r >>> 12) & 0xFFF]; // +4 = 8
 
-        r = nextInt32();
+        r = rng.nextInt32();
         str += DOUBLE_CHAR_DICT[r & 0xFFF] + DOUBLE_CHAR_DICT[(r >>> 12) & 0xFFF]; // +4 = 12
 
-        r = nextInt32();
+        r = rng.nextInt32();
         str += DOUBLE_CHAR_DICT[r & 0xFFF] + DOUBLE_CHAR_DICT[(r >>> 12) & 0xFFF]; // +4 = 16
 
-        r = nextInt32();
+        r = rng.nextInt32();
         str += DOUBLE_CHAR_DICT[r & 0xFFF] + DOUBLE_CHAR_DICT[(r >>> 12) & 0xFFF]; // +4 = 20
 
-        r = nextInt32();
+        r = rng.nextInt32();
         str += CHAR_DICT[r & 0x3F]; // +1 = 21 chars
 
         return str;
@@ -115,7 +121,7 @@ const newRND = function (length = 12) {
     let i = 0;
 
     while (i < len) {
-        let r = nextInt32();
+        let r = rng.nextInt32();
         // Check if we can do a double lookup (i+2 <= len)
         if (i + 1 < len) {
             str += DOUBLE_CHAR_DICT[r & 0xFFF];
@@ -140,8 +146,21 @@ const newRND = function (length = 12) {
     return str;
 }
 
+// --- MONOTONIC SUFFIX ---
+/**
+ * Increments a base-64 string by one in CHAR_DICT order (carrying leftwards).
+ * Returns null on overflow, i.e. when every character is already '~'.
+ */
+const incrementRND = function (rnd) {
+    let i = rnd.length - 1;
+    while (i >= 0 && rnd.charCodeAt(i) === 126) i--;
+    if (i < 0) return null;
+    return rnd.substring(0, i) + CHAR_DICT[ASCII_LOOKUP[rnd.charCodeAt(i)] + 1] + '0'.repeat(rnd.length - 1 - i);
+}
+
 const decodeTime = function (tid) {
     if (!tid || typeof tid !== 'string' || tid.length < 8) return null;
+    if (tid.charCodeAt(0) === EXTENDED_MARKER_CODE) return decodeTimeExtended(tid);
     let ts = 0;
     for (let i = 0; i < 8; i++) {
         const code = tid.charCodeAt(i);
@@ -153,16 +172,213 @@ const decodeTime = function (tid) {
     return ts;
 }
 
+// --- EXTENDED TIME RANGE ---
+// '.' + 9 chars of offset binary (time + 2^53, 54 bits): every ms a Date can hold, negative included.
+// Fixed width and a zero point of 2^53 keep lexicographic order across 1970. '.' is URL-safe but
+// outside CHAR_DICT, so decodeTime tells the format apart from the default 8-char prefix.
+const EXTENDED_MARKER = '.';
+const EXTENDED_MARKER_CODE = 46;
+const EXTENDED_WIDTH = 10;
+const MAX_TIME = 281474976710655; // 2^48 - 1, the last ms of the 8-char format
+const TWO_POW_30 = 1073741824;
+const TWO_POW_23 = 8388608;
+const MAX_DATE_MS = 8.64e15; // Date range: ±100,000,000 days around 1970
+
+/**
+ * Encodes any integer ms timestamp a Date can hold (±8.64e15, pre-1970 and past year 10889) as a 10-char extended prefix.
+ * @param {Date | number} time
+ */
+const encodeTimeExtended = function (time) {
+    const ts = toEpoch(time);
+    if (typeof ts !== 'number') throw new TypeError(`Expected instanceof number or Date, received: ${typeof time}`);
+    if (!Number.isInteger(ts) || ts < -MAX_DATE_MS || ts > MAX_DATE_MS) {
+        throw new RangeError(`Expected time of integer within ±${MAX_DATE_MS}, received: ${ts}`);
+    }
+
+    // Split into 24 high and 30 low bits so the 54-bit offset never leaves exact double range
+    const high = Math.floor(ts / TWO_POW_30);
+    let lo = ts - high * TWO_POW_30;
+    let hi = high + TWO_POW_23;
+    let str = '';
+    for (let i = 0; i < 5; i++) { str = CHAR_DICT[lo & 0x3F] + str; lo >>>= 6; }
+    for (let i = 0; i < 4; i++) { str = CHAR_DICT[hi & 0x3F] + str; hi >>>= 6; }
+    return EXTENDED_MARKER + str;
+}
+
+/**
+ * Decodes a 10-char extended prefix starting at `from`. Returns null if it is malformed or
+ * outside the Date range (which encodeTimeExtended never produces).
+ * @param {string} tid
+ * @param {number} [from=0]
+ */
+const decodeTimeExtended = function (tid, from = 0) {
+    if (tid.length < from + EXTENDED_WIDTH || tid.charCodeAt(from) !== EXTENDED_MARKER_CODE) return null;
+    let hi = 0, lo = 0;
+    for (let i = 1; i < EXTENDED_WIDTH; i++) {
+        const code = tid.charCodeAt(from + i);
+        const val = code > 127 ? -1 : ASCII_LOOKUP[code];
+        if (val === -1) return null;
+        if (i < 5) hi = hi * 64 + val;
+        else lo = lo * 64 + val;
+    }
+    const ts = (hi - TWO_POW_23) * TWO_POW_30 + lo;
+    return ts < -MAX_DATE_MS || ts > MAX_DATE_MS ? null : ts;
+}
+
+/**
+ * Width of the time prefix starting at `from`: 10 for the extended format, else 8.
+ * @param {string} tid
+ * @param {number} [from=0]
+ */
+const timeWidthAt = function (tid, from = 0) {
+    return tid.charCodeAt(from) === EXTENDED_MARKER_CODE ? EXTENDED_WIDTH : 8;
+}
+
+// --- STRICT PARSING ---
+
+/**
+ * Thrown by timeIDr.parse when an ID fails validation.
+ * `code` is machine-readable; `offset` is the character index of the problem, or -1.
+ */
+class TimeIDParseError extends Error {
+    /** @type {string} */ code;
+    /** @type {number} */ offset;
+
+    constructor(code, message, offset = -1) {
+        super(message);
+        this.name = 'TimeIDParseError';
+        this.code = code;
+        this.offset = offset;
+    }
+
+    static INVALID_TYPE = 'INVALID_TYPE';
+    static TOO_SHORT = 'TOO_SHORT';
+    static INVALID_CHARACTER = 'INVALID_CHARACTER';
+    static DELIMITER_MISMATCH = 'DELIMITER_MISMATCH';
+    static LENGTH_MISMATCH = 'LENGTH_MISMATCH';
+    static TIME_OUT_OF_RANGE = 'TIME_OUT_OF_RANGE';
+    static TYPE_MISMATCH = 'TYPE_MISMATCH';
+    static CHECKSUM_MISMATCH = 'CHECKSUM_MISMATCH';
+}
+
+/**
+ * Mod-radix weighted checksum over the dictionary chars of `str` (other chars, e.g. delimiters, are skipped).
+ * Weights are odd (1, 3, 5, ...), so every single-character substitution changes the result.
+ * @param {string} str
+ * @param {Int8Array} [lookup=ASCII_LOOKUP] Char code -> value table of the alphabet.
+ * @param {string[]} [dict=CHAR_DICT] Alphabet chars; its length must be a power of two.
+ * @returns {string} One dictionary char.
+ */
+const checkChar = function (str, lookup = ASCII_LOOKUP, dict = CHAR_DICT) {
+    const mask = dict.length - 1;
+    let sum = 0, w = 1;
+    for (let i = 0; i < str.length; i++) {
+        const code = str.charCodeAt(i);
+        const val = code > 127 ? -1 : lookup[code];
+        if (val === -1) continue;
+        sum = (sum + val * w) & mask;
+        w += 2;
+    }
+    return dict[sum];
+}
+
+/**
+ * Compares the last char of `tidr` with the check char of `tidr[from..-1]`.
+ * @param {string} tidr
+ * @param {number} from Start of the checksummed span (after any type prefix).
+ * @param {(str: string) => string} [check=checkChar] Check char function of the alphabet.
+ * @returns {TimeIDParseError | null}
+ */
+const checkMismatch = function (tidr, from, check = checkChar) {
+    const last = tidr.length - 1;
+    const expected = check(tidr.substring(from, last));
+    if (tidr[last] === expected) return null;
+    return new TimeIDParseError(TimeIDParseError.CHECKSUM_MISMATCH, `Check character '${tidr[last]}' does not match '${expected}'`, last);
+}
+
+const toEpoch = function (time) {
+    return time instanceof Date ? time.getTime() : time;
+}
+
+/**
+ * Validates a full timeIDr string, optionally preceded by a fixed type prefix and followed by a check char.
+ * Returns the decoded timestamp, or a TimeIDParseError (not thrown) describing the first problem.
+ * Format problems are reported before a checksum mismatch, so CHECKSUM_MISMATCH means a well-formed ID with a typo.
+ * Offsets are relative to the start of the whole string, prefix included.
+ * @param {*} tidr
+ * @param {{ length?: number, delimiter?: string, prefix?: string, check?: boolean, minTime?: Date | number, maxTime?: Date | number }} options
+ * @returns {number | TimeIDParseError}
+ */
+const validateTimeIDr = function (tidr, { length = undefined, delimiter = '', prefix = '', check = false, minTime = undefined, maxTime = undefined } = {}) {
+    if (typeof tidr !== 'string') {
+        return new TimeIDParseError(TimeIDParseError.INVALID_TYPE, `Expected string, received: ${tidr === null ? 'null' : typeof tidr}`);
+    }
+    if (!tidr.startsWith(prefix)) {
+        return new TimeIDParseError(TimeIDParseError.TYPE_MISMATCH, `Expected prefix '${prefix}', received: '${tidr.substring(0, prefix.length)}'`, 0);
+    }
+    const p = prefix.length;
+    const extended = tidr.charCodeAt(p) === EXTENDED_MARKER_CODE;
+    const end = p + (extended ? EXTENDED_WIDTH : 8);
+    const start = end + delimiter.length;
+    const c = check ? 1 : 0;
+    if (tidr.length <= start + c) {
+        return new TimeIDParseError(TimeIDParseError.TOO_SHORT, `Expected length > ${start + c}, received: ${tidr.length}`, tidr.length);
+    }
+
+    let ts = 0;
+    for (let i = extended ? p + 1 : p; i < end; i++) {
+        const code = tidr.charCodeAt(i);
+        const val = code > 127 ? -1 : ASCII_LOOKUP[code];
+        if (val === -1) return new TimeIDParseError(TimeIDParseError.INVALID_CHARACTER, `Invalid character '${tidr[i]}' at offset ${i}`, i);
+        ts = ts * 64 + val;
+    }
+    if (extended) {
+        const ext = decodeTimeExtended(tidr, p);
+        if (ext === null) return new TimeIDParseError(TimeIDParseError.TIME_OUT_OF_RANGE, `Extended time is outside the Date range of ±${MAX_DATE_MS}`, p);
+        ts = ext;
+    }
+
+    for (let i = 0; i < delimiter.length; i++) {
+        if (tidr.charCodeAt(end + i) !== delimiter.charCodeAt(i)) {
+            return new TimeIDParseError(TimeIDParseError.DELIMITER_MISMATCH, `Expected delimiter '${delimiter}' at offset ${end}`, end + i);
+        }
+    }
+
+    for (let i = start; i < tidr.length; i++) {
+        const code = tidr.charCodeAt(i);
+        if (code > 127 || ASCII_LOOKUP[code] === -1) {
+            return new TimeIDParseError(TimeIDParseError.INVALID_CHARACTER, `Invalid character '${tidr[i]}' at offset ${i}`, i);
+        }
+    }
+
+    if (length !== undefined && tidr.length - start - c !== length) {
+        return new TimeIDParseError(TimeIDParseError.LENGTH_MISMATCH, `Expected randomness length ${length}, received: ${tidr.length - start - c}`, start);
+    }
+
+    if (check) {
+        const mismatch = checkMismatch(tidr, p);
+        if (mismatch) return mismatch;
+    }
+
+    const min = toEpoch(minTime), max = toEpoch(maxTime);
+    if ((min !== undefined && ts < min) || (max !== undefined && ts > max)) {
+        return new TimeIDParseError(TimeIDParseError.TIME_OUT_OF_RANGE, `Time ${ts} is outside the allowed window`, p);
+    }
+    return ts;
+}
+
 const DIV_64 = 0.015625;
 
 const encodeTime = function (time) {
     let ts = typeof time === 'number' ? time : (time instanceof Date ? time.getTime() : null);
     if (ts === null || ts < 0) throw new TypeError(`Expected instanceof number or Date, received: ${typeof time}`);
+    if (ts > MAX_TIME) throw new RangeError(`Expected time <= ${MAX_TIME} (use encodeTimeExtended), received: ${ts}`);
 
+    // Three float steps bring the 48-bit value under 2^30, where the unsigned shifts are exact
     let c7 = CHAR_DICT[ts % 64]; ts = Math.floor(ts * DIV_64);
     let c6 = CHAR_DICT[ts % 64]; ts = Math.floor(ts * DIV_64);
+    let c5 = CHAR_DICT[ts % 64]; ts = Math.floor(ts * DIV_64);
 
-    let c5 = CHAR_DICT[ts & 0x3F]; ts >>>= 6;
     let c4 = CHAR_DICT[ts & 0x3F]; ts >>>= 6;
     let c3 = CHAR_DICT[ts & 0x3F]; ts >>>= 6;
     let c2 = CHAR_DICT[ts & 0x3F]; ts >>>= 6;
@@ -176,6 +392,937 @@ const encodeTimeNow = function (time = Date.now()) {
     return encodeTime(time);
 }
 
+// --- SUB-MILLISECOND PRECISION ---
+// Extra fixed-width chars after the 8-char ms prefix holding the offset within the millisecond.
+const PRECISIONS = {
+    us: { chars: 2, unitNs: 1000n },   // 0..999 microseconds (12 bits)
+    ns: { chars: 4, unitNs: 1n }       // 0..999999 nanoseconds (24 bits)
+};
+const NS_PER_MS = 1000000n;
+
+const precisionOf = function (precision) {
+    const p = PRECISIONS[precision];
+    if (!p) throw new TypeError(`Expected precision of 'us'|'ns', received: ${precision}`);
+    return p;
+}
+
+/**
+ * Nanoseconds since the UNIX epoch.
+ * Uses process.hrtime (anchored to Date.now() at import) where available, else performance.now().
+ * @type {() => bigint}
+ */
+const nowNs = (function () {
+    const proc = globalThis.process;
+    if (proc && proc.hrtime && typeof proc.hrtime.bigint === 'function') {
+        const anchorNs = BigInt(Date.now()) * NS_PER_MS;
+        const anchorHr = proc.hrtime.bigint();
+        return () => anchorNs + (proc.hrtime.bigint() - anchorHr);
+    }
+    return () => {
+        const t = performance.timeOrigin + performance.now();
+        const ms = Math.floor(t);
+        return BigInt(ms) * NS_PER_MS + BigInt(Math.floor((t - ms) * 1e6));
+    };
+})();
+
+/**
+ * Converts a bigint (ns) or number (fractional ms) or Date into bigint ns.
+ */
+const toEpochNs = function (time) {
+    if (typeof time === 'bigint') return time;
+    if (time instanceof Date) return BigInt(time.getTime()) * NS_PER_MS;
+    if (typeof time === 'number' && Number.isFinite(time)) {
+        const ms = Math.floor(time);
+        return BigInt(ms) * NS_PER_MS + BigInt(Math.round((time - ms) * 1e6));
+    }
+    throw new TypeError(`Expected bigint|number|Date, received: ${typeof time}`);
+}
+
+/**
+ * Encodes a time into the 8-char ms prefix followed by 2 (us) or 4 (ns) sub-ms chars.
+ * @param {bigint | number | Date} time bigint nanoseconds, fractional ms, or Date.
+ * @param {'us' | 'ns'} [precision='us']
+ */
+const encodeTimePrecise = function (time, precision = 'us') {
+    const { chars, unitNs } = precisionOf(precision);
+    const ns = toEpochNs(time);
+    if (ns < 0n) throw new TypeError(`Expected non-negative time, received: ${ns}`);
+    let units = Number((ns % NS_PER_MS) / unitNs);
+    let str = '';
+    for (let i = 0; i < chars; i++) {
+        str = CHAR_DICT[units & 0x3F] + str;
+        units >>>= 6;
+    }
+    return encodeTime(Number(ns / NS_PER_MS)) + str;
+}
+
+/**
+ * Decodes a precise prefix back into bigint nanoseconds since the epoch, or null.
+ * @param {string} tid
+ * @param {'us' | 'ns'} [precision='us']
+ * @returns {bigint | null}
+ */
+const decodeTimePrecise = function (tid, precision = 'us') {
+    const { chars, unitNs } = precisionOf(precision);
+    const ms = decodeTime(tid);
+    if (ms === null || tid.length < 8 + chars) return null;
+    let units = 0;
+    for (let i = 8; i < 8 + chars; i++) {
+        const code = tid.charCodeAt(i);
+        const val = code > 127 ? -1 : ASCII_LOOKUP[code];
+        if (val === -1) return null;
+        units = units * 64 + val;
+    }
+    const sub = BigInt(units) * unitNs;
+    if (sub >= NS_PER_MS) return null;
+    return BigInt(ms) * NS_PER_MS + sub;
+}
+
+// --- NAME-BASED SUFFIXES ---
+// Deterministic suffix: SHA-256 in counter mode over (namespace, time prefix, name), 6 bits per char.
+const TEXT_ENCODER = new TextEncoder();
+
+/**
+ * @param {string | Uint8Array} value
+ * @param {string} label
+ * @returns {Uint8Array}
+ */
+const nameBytes = function (value, label) {
+    if (typeof value === 'string') return TEXT_ENCODER.encode(value);
+    if (value instanceof Uint8Array) return value;
+    throw new TypeError(`Expected ${label} of string|Uint8Array, received: ${value === null ? 'null' : typeof value}`);
+}
+
+/**
+ * Derives a suffix from a name via WebCrypto. Input layout: [block u32][namespace length u32][namespace][8-char time][name].
+ * The namespace is length-prefixed so ("a", "bc") and ("ab", "c") hash differently.
+ * @param {Uint8Array} namespace
+ * @param {string} tid 8-char time prefix.
+ * @param {Uint8Array} name
+ * @param {number} length Suffix length, clamped to 12..1024 like newRND.
+ * @returns {Promise<string>}
+ */
+const nameSuffix = async function (namespace, tid, name, length) {
+    const len = length < 12 ? 12 : (length > 1024 ? 1024 : length);
+    const input = new Uint8Array(8 + namespace.length + 8 + name.length);
+    const view = new DataView(input.buffer);
+    view.setUint32(4, namespace.length);
+    input.set(namespace, 8);
+    for (let i = 0; i < 8; i++) input[8 + namespace.length + i] = tid.charCodeAt(i);
+    input.set(name, 16 + namespace.length);
+
+    let str = '';
+    for (let block = 0; str.length < len; block++) {
+        view.setUint32(0, block);
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+        for (let i = 0; i < digest.length && str.length < len; i++) str += CHAR_DICT[digest[i] & 0x3F];
+    }
+    return str;
+}
+
+// --- CUSTOM TIME FORMATS ---
+// Resolution of a generator's time prefix. Non-default formats and alphabets start with a tag: '-'
+// plus the resolution letter. '-' is outside CHAR_DICT, so the static decoders reject a tagged prefix, and a
+// generator configured for a different resolution rejects it too, instead of misreading it.
+const TAG_MARKER = '-';
+const RESOLUTIONS = {
+    ms: { unit: 1, tag: 'L', width: 8 },
+    s: { unit: 1000, tag: 'S', width: 6 },
+    min: { unit: 60000, tag: 'M', width: 5 },
+    h: { unit: 3600000, tag: 'H', width: 4 }
+};
+
+// --- ALPHABETS ---
+const ALPHABET_BITS = { 16: 4, 32: 5, 64: 6 };
+
+/**
+ * A sortable ID alphabet: 16, 32 or 64 printable ASCII chars in strictly ascending code order,
+ * so encoded values sort as strings in the same order as the numbers they encode.
+ * Each alphabet builds its own decoding lookup and double-char table. The default base-64
+ * alphabet delegates to the module's fast paths, so it stays byte-identical to the static API.
+ */
+class TimeIDAlphabet {
+    /** @type {string} */ chars;
+    /** @type {number} */ radix;
+    /** @type {number} Bits per char. */ bits;
+    /** @type {number} Chars for a 48-bit ms timestamp (8 for base-64, 10 for base-32). */ timeWidth;
+    /** @type {number} Widest prefix that still fits in a safe integer. */ maxWidth;
+    /** @type {boolean} */ caseInsensitive;
+    /** @type {string[]} */ dict;
+    /** @type {Int8Array} */ lookup;
+    /** @type {string[]} */ doubleDict;
+    _default = false;
+    _normalizes = false;
+
+    /**
+     * @param {string} chars
+     * @param {Object} [options]
+     * @param {boolean} [options.caseInsensitive=false] Decode either case of a letter.
+     * @param {Object<string, string>} [options.aliases] Extra input chars decoded as an alphabet char, e.g. `{ l: '1' }`.
+     */
+    constructor(chars, { caseInsensitive = false, aliases = {} } = {}) {
+        if (typeof chars !== 'string' || !(chars.length in ALPHABET_BITS)) {
+            throw new RangeError(`Expected alphabet of 16, 32 or 64 chars, received: ${typeof chars === 'string' ? chars.length : typeof chars}`);
+        }
+        for (let i = 0; i < chars.length; i++) {
+            const code = chars.charCodeAt(i);
+            if (code < 33 || code > 126) throw new TypeError(`Expected printable ASCII chars, received: '${chars[i]}'`);
+            if (i > 0 && code <= chars.charCodeAt(i - 1)) {
+                throw new TypeError(`Expected chars in strictly ascending ASCII order, received: '${chars[i - 1]}${chars[i]}'`);
+            }
+        }
+        this.chars = chars;
+        this.radix = chars.length;
+        this.bits = ALPHABET_BITS[chars.length];
+        this.timeWidth = Math.ceil(48 / this.bits);
+        this.maxWidth = Math.floor(53 / this.bits);
+        this.caseInsensitive = caseInsensitive === true;
+        this.dict = chars.split('');
+
+        this.lookup = new Int8Array(128).fill(-1);
+        for (let i = 0; i < chars.length; i++) this.lookup[chars.charCodeAt(i)] = i;
+        const addInput = (char, val) => {
+            const code = char.charCodeAt(0);
+            if (code < 128 && this.lookup[code] === -1) {
+                this.lookup[code] = val;
+                this._normalizes = true;
+            }
+        };
+        if (this.caseInsensitive) {
+            for (let i = 0; i < chars.length; i++) {
+                addInput(chars[i].toUpperCase(), i);
+                addInput(chars[i].toLowerCase(), i);
+            }
+        }
+        for (const [from, to] of Object.entries(aliases)) {
+            const val = to.length === 1 && to.charCodeAt(0) < 128 ? this.lookup[to.charCodeAt(0)] : -1;
+            if (from.length !== 1 || val === -1) throw new TypeError(`Expected alias of one char to an alphabet char, received: '${from}' -> '${to}'`);
+            addInput(from, val);
+            if (this.caseInsensitive) {
+                addInput(from.toUpperCase(), val);
+                addInput(from.toLowerCase(), val);
+            }
+        }
+
+        this.doubleDict = new Array(this.radix * this.radix);
+        for (let i = 0; i < this.doubleDict.length; i++) {
+            this.doubleDict[i] = this.dict[i % this.radix] + this.dict[Math.floor(i / this.radix)];
+        }
+        this._default = chars === CHAR_DICT_STR && !this._normalizes;
+    }
+
+    /**
+     * Encodes a non-negative integer as exactly `width` chars, most significant first.
+     * @param {number} value
+     * @param {number} width
+     */
+    encode(value, width) {
+        let str = '';
+        for (let i = 0; i < width; i++) {
+            str = this.dict[value % this.radix] + str;
+            value = Math.floor(value / this.radix);
+        }
+        return str;
+    }
+
+    /**
+     * Decodes chars [from, to) of `str` as an integer. Returns -1 if any char is not in the alphabet.
+     * @param {string} str
+     * @param {number} [from=0]
+     * @param {number} [to=str.length]
+     */
+    decode(str, from = 0, to = str.length) {
+        let v = 0;
+        for (let i = from; i < to; i++) {
+            const code = str.charCodeAt(i);
+            const d = code > 127 ? -1 : this.lookup[code];
+            if (d === -1) return -1;
+            v = v * this.radix + d;
+        }
+        return v;
+    }
+
+    /**
+     * True if every char of `str` decodes in this alphabet (including case variants and aliases).
+     * @param {string} str
+     */
+    isValid(str) {
+        for (let i = 0; i < str.length; i++) {
+            const code = str.charCodeAt(i);
+            if (code > 127 || this.lookup[code] === -1) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Maps case variants and aliases to the canonical alphabet chars; other chars are kept.
+     * @param {string} str
+     */
+    normalize(str) {
+        if (!this._normalizes) return str;
+        let out = '';
+        for (let i = 0; i < str.length; i++) {
+            const code = str.charCodeAt(i);
+            const d = code > 127 ? -1 : this.lookup[code];
+            out += d === -1 ? str[i] : this.dict[d];
+        }
+        return out;
+    }
+
+    /**
+     * Random suffix of `length` chars (clamped to 12-1024, like newRND).
+     * @param {number} [length=12]
+     * @param {{ nextInt32: () => number }} [rng=DEFAULT_GENERATOR]
+     */
+    newRandomness(length = 12, rng = DEFAULT_GENERATOR) {
+        if (this._default) return newRND(length, rng);
+        const len = length < 12 ? 12 : (length > 1024 ? 1024 : length);
+        // Double lookups of 2 * bits each: 2 per word for base-64, 3 for base-32, 4 for base-16
+        const pairBits = this.bits * 2, pairMask = this.doubleDict.length - 1, perWord = Math.floor(32 / pairBits);
+        let str = '';
+        while (str.length < len) {
+            let r = rng.nextInt32();
+            for (let k = 0; k < perWord && str.length < len; k++) {
+                str += this.doubleDict[r & pairMask];
+                r >>>= pairBits;
+            }
+        }
+        return str.length > len ? str.substring(0, len) : str;
+    }
+
+    /**
+     * Increments a suffix by one in alphabet order (carrying leftwards). Returns null on overflow.
+     * @param {string} rnd
+     */
+    increment(rnd) {
+        if (this._default) return incrementRND(rnd);
+        const top = this.radix - 1;
+        let i = rnd.length - 1;
+        while (i >= 0 && this.lookup[rnd.charCodeAt(i)] === top) i--;
+        if (i < 0) return null;
+        return rnd.substring(0, i) + this.dict[this.lookup[rnd.charCodeAt(i)] + 1] + this.dict[0].repeat(rnd.length - 1 - i);
+    }
+
+    /**
+     * Mod-radix weighted check char (see timeIDr.checkChar).
+     * @param {string} str
+     */
+    checkChar(str) {
+        return checkChar(str, this.lookup, this.dict);
+    }
+
+    /** The default alphabet: `0-9A-Z_a-z~`. */
+    static BASE64 = new TimeIDAlphabet(CHAR_DICT_STR);
+
+    /**
+     * Crockford-style base-32, lowercase: `0-9a-z` without `i l o u`. Decodes case-insensitively,
+     * with `i`/`l` read as `1` and `o` as `0`. Safe for case-insensitive collations, filenames and DNS labels.
+     */
+    static BASE32 = new TimeIDAlphabet('0123456789abcdefghjkmnpqrstvwxyz', { caseInsensitive: true, aliases: { i: '1', l: '1', o: '0' } });
+}
+
+// --- NODE SEGMENT ---
+
+/**
+ * Encodes a node ID into a fixed-width segment of alphabet chars.
+ * @param {number | string} node
+ * @param {number | undefined} width
+ * @param {TimeIDAlphabet} alphabet
+ */
+const encodeNode = function (node, width, alphabet) {
+    if (typeof node === 'string') {
+        if (node.length === 0 || !alphabet.isValid(node)) throw new TypeError(`Expected node of dictionary chars, received: '${node}'`);
+        if (width !== undefined && node.length !== width) throw new RangeError(`Expected node of ${width} chars, received: '${node}'`);
+        return alphabet.normalize(node);
+    }
+    const w = width ?? 2;
+    if (!Number.isInteger(w) || w < 1 || w > 8) throw new RangeError(`Expected nodeWidth of 1-8, received: ${w}`);
+    const max = alphabet.radix ** w;
+    if (!Number.isInteger(node) || node < 0 || node >= max) throw new RangeError(`Expected node of integer 0-${max - 1}, received: ${node}`);
+    return alphabet.encode(node, w);
+}
+
+// --- CLOCK REGRESSION ---
+const CLOCK_POLICIES = ['none', 'clamp', 'wait', 'throw'];
+
+// --- SHARED STATE ---
+// Int32 slots of a buffer from TimeIDGenerator.createSharedState(), shared across worker_threads.
+// The lock guards the last time key (split into hi/lo words) and the counter within that key.
+const SHARED_LOCK = 0;
+const SHARED_TIME_HI = 1;
+const SHARED_TIME_LO = 2;
+const SHARED_COUNTER = 3;
+const SHARED_INSTANCES = 4;
+const SHARED_SLOTS = 5;
+// Leading suffix chars holding the counter: 16.7M IDs per ms in base-64 before borrowing the next ms
+const SHARED_COUNTER_CHARS = 4;
+const TWO_POW_32 = 4294967296;
+
+// CAS attempts before a contended lock parks the thread instead of spinning
+const SHARED_LOCK_SPINS = 16;
+
+/**
+ * Takes the shared-state lock. Spins briefly, since the critical section is a handful of loads
+ * and stores, then parks with Atomics.wait until the holder releases it. Keeps spinning where
+ * the runtime forbids blocking (browser main threads).
+ * @param {Int32Array} s
+ */
+const lockShared = function (s) {
+    for (let i = 0; Atomics.compareExchange(s, SHARED_LOCK, 0, 1) !== 0; i++) {
+        if (i < SHARED_LOCK_SPINS) continue;
+        try {
+            Atomics.wait(s, SHARED_LOCK, 1);
+        } catch (e) {
+            // Cannot block here; keep spinning
+        }
+    }
+}
+
+/** @param {Int32Array} s */
+const unlockShared = function (s) {
+    Atomics.store(s, SHARED_LOCK, 0);
+    Atomics.notify(s, SHARED_LOCK, 1);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// --- BLOCKING WAIT ---
+// The 'wait' clock policy parks the thread with Atomics.wait instead of spinning on the clock.
+// It re-reads the clock at least every MAX_WAIT_STEP ms, in case the clock jumps forward.
+const MAX_WAIT_STEP = 10;
+const WAIT_CELL = typeof SharedArrayBuffer === 'function' ? new Int32Array(new SharedArrayBuffer(4)) : null;
+
+/**
+ * Blocks the calling thread for `ms` without burning CPU.
+ * Returns false where the runtime forbids blocking (browser main threads, Cloudflare Workers).
+ * @param {number} ms
+ */
+const blockFor = function (ms) {
+    if (WAIT_CELL === null) return false;
+    try {
+        Atomics.wait(WAIT_CELL, 0, 0, ms);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// --- SEEDING ---
+const GOLDEN_RATIO_32 = 0x9E3779B9;
+
+/**
+ * Normalises a seed into three 32-bit SFC32 words.
+ * A number seed is spread across the words; an array supplies them directly.
+ * Without a seed the words come from the CSPRNG, so threads and processes started
+ * in the same millisecond still get uncorrelated streams.
+ * @param {number | number[] | undefined} seed
+ * @returns {number[]}
+ */
+const seedWords = function (seed) {
+    if (seed === undefined) {
+        const words = crypto.getRandomValues(new Uint32Array(3));
+        return [words[0] | 0, words[1] | 0, words[2] | 0];
+    }
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        const s = seed | 0;
+        return [s, (s ^ GOLDEN_RATIO_32) | 0, Math.imul(s, GOLDEN_RATIO_32) | 0];
+    }
+    if (Array.isArray(seed) && seed.length > 0 && seed.length <= 3 && seed.every(Number.isFinite)) {
+        return [seed[0] | 0, (seed[1] ?? GOLDEN_RATIO_32) | 0, (seed[2] ?? 0) | 0];
+    }
+    throw new TypeError(`Expected seed of number|number[] (max 3), received: ${typeof seed}`);
+}
+
+/**
+ * An isolated ID generator that owns its SFC32 state, clock and monotonic state.
+ * Two generators never share a random stream, and a generator built with the same
+ * seed and clock always produces the same sequence of IDs.
+ */
+class TimeIDGenerator {
+    /** @type {() => number} */ clock;
+    /** @type {boolean} */ secure;
+    /** @type {number} */ epoch = 0;
+    /** @type {string} */ resolution = 'ms';
+    /** @type {number} */ timeWidth = 8;
+    /** @type {number} Chars before the delimiter: the resolution tag (if any) plus timeWidth. */ prefixLength = 8;
+    /** @type {string} Fixed-width node segment placed after the delimiter ('' if none). */ node = '';
+    /** @type {boolean} Append a trailing check char to every ID. */ check = false;
+    /** @type {TimeIDAlphabet} */ alphabet = TimeIDAlphabet.BASE64;
+    /** @type {'none' | 'clamp' | 'wait' | 'throw'} What now() does when the clock goes backwards. */ clockPolicy = 'none';
+    /** @type {number} Longest the 'wait' policy blocks the thread before throwing, in ms. */ maxClockWait = 1000;
+    /** @type {((event: { previous: number, current: number, skew: number, policy: string }) => void) | null} */ onClockRegression = null;
+    /** @type {number} Latest time read from the clock. */ lastTime = -Infinity;
+    /** @type {Int32Array | null} View of the shared state, if any. */ _shared = null;
+    _sharedKey = 0;
+    _instance = 0;
+    _unit = 1;
+    _tag = '';
+    // Default alphabet and format: delegate to the module-level fast paths
+    _fast = true;
+    _a = 0; _b = 0; _c = 0; _d = 1;
+    _monoTime = -1;
+    _monoRnd = '';
+
+    /**
+     * @param {Object} [options]
+     * @param {number | number[]} [options.seed] Explicit SFC32 seed. Defaults to CSPRNG words (crypto.getRandomValues).
+     * @param {() => number} [options.clock=Date.now] Returns the current time in ms.
+     * @param {boolean} [options.secure=false] Draw suffixes from the CSPRNG instead of SFC32.
+     * @param {Date | number} [options.epoch=0] Time zero of the prefix, in ms since the UNIX epoch.
+     * @param {'ms' | 's' | 'min' | 'h'} [options.resolution='ms'] Unit counted by the prefix.
+     * @param {number} [options.timeWidth] Prefix chars (1 to alphabet.maxWidth). Defaults to 8/6/5/4 for ms/s/min/h in base-64,
+     *   or the same number of bits in other alphabets.
+     * @param {number | string} [options.node] Node/shard ID: an integer, or a string of dictionary chars used verbatim.
+     * @param {number} [options.nodeWidth] Node segment chars. Defaults to 2 for integers (0-4095 in base-64) or the string length.
+     * @param {boolean} [options.check=false] Append a mod-radix check char for typo detection.
+     * @param {TimeIDAlphabet} [options.alphabet=TimeIDAlphabet.BASE64] Alphabet for the prefix, node, suffix and check char.
+     * @param {'none' | 'clamp' | 'wait' | 'throw'} [options.clockPolicy='none'] Reaction to the clock going backwards (see now()).
+     * @param {number} [options.maxClockWait=1000] Longest the 'wait' policy blocks before throwing, in ms.
+     * @param {(event: { previous: number, current: number, skew: number, policy: string }) => void} [options.onClockRegression]
+     *   Called with the skew every time the clock reads behind the latest time, before the policy applies.
+     * @param {SharedArrayBuffer} [options.shared] State from TimeIDGenerator.createSharedState(). Generators sharing it
+     *   (e.g. in different worker_threads) issue clock-derived IDs that never collide and ascend across all of them.
+     */
+    constructor({ seed = undefined, clock = Date.now, secure = false, epoch = 0, resolution = 'ms', timeWidth = undefined, node = undefined, nodeWidth = undefined, check = false, alphabet = TimeIDAlphabet.BASE64, clockPolicy = 'none', maxClockWait = 1000, onClockRegression = undefined, shared = undefined } = {}) {
+        if (typeof clock !== 'function') throw new TypeError(`Expected clock of function, received: ${typeof clock}`);
+        if (!(alphabet instanceof TimeIDAlphabet)) throw new TypeError(`Expected alphabet of TimeIDAlphabet, received: ${typeof alphabet}`);
+        if (!CLOCK_POLICIES.includes(clockPolicy)) throw new TypeError(`Expected clockPolicy of ${CLOCK_POLICIES.join('|')}, received: ${clockPolicy}`);
+        if (!(Number.isFinite(maxClockWait) && maxClockWait >= 0)) throw new RangeError(`Expected maxClockWait of non-negative ms, received: ${maxClockWait}`);
+        if (onClockRegression !== undefined && typeof onClockRegression !== 'function') {
+            throw new TypeError(`Expected onClockRegression of function, received: ${typeof onClockRegression}`);
+        }
+        this.clockPolicy = clockPolicy;
+        this.maxClockWait = maxClockWait;
+        this.onClockRegression = onClockRegression ?? null;
+        this.clock = clock;
+        this.secure = secure === true;
+        this.check = check === true;
+        this.alphabet = alphabet;
+
+        const res = RESOLUTIONS[resolution];
+        if (!res) throw new TypeError(`Expected resolution of ${Object.keys(RESOLUTIONS).join('|')}, received: ${resolution}`);
+        const width = timeWidth ?? Math.ceil(res.width * 6 / alphabet.bits);
+        if (!Number.isInteger(width) || width < 1 || width > alphabet.maxWidth) {
+            throw new RangeError(`Expected timeWidth of 1-${alphabet.maxWidth}, received: ${width}`);
+        }
+        const epochMs = toEpoch(epoch);
+        if (!Number.isInteger(epochMs)) throw new TypeError(`Expected epoch of Date|integer ms, received: ${epoch}`);
+
+        this.epoch = epochMs;
+        this.resolution = resolution;
+        this.timeWidth = width;
+        this._unit = res.unit;
+        // Only the default format and alphabet are untagged, so they stay byte-identical to
+        // timeID.encodeTime; the tag keeps the static decoders from misreading any other prefix
+        const untagged = epochMs === 0 && resolution === 'ms' && width === alphabet.timeWidth && alphabet._default;
+        this._tag = untagged ? '' : TAG_MARKER + (alphabet.caseInsensitive ? res.tag.toLowerCase() : res.tag);
+        this._fast = untagged;
+        this.prefixLength = this._tag.length + width;
+        if (node !== undefined) this.node = encodeNode(node, nodeWidth, alphabet);
+        if (shared !== undefined) {
+            if (!(shared instanceof SharedArrayBuffer) || shared.byteLength < SHARED_SLOTS * 4) {
+                throw new TypeError('Expected shared state from TimeIDGenerator.createSharedState()');
+            }
+            this._shared = new Int32Array(shared, 0, SHARED_SLOTS);
+            this._instance = Atomics.add(this._shared, SHARED_INSTANCES, 1) + 1;
+        }
+        this.seed(seed);
+    }
+
+    /**
+     * Allocates state for generators in different threads to share. Pass the buffer to each
+     * generator's `shared` option (e.g. through workerData); all of them must use the same time format.
+     * @returns {SharedArrayBuffer}
+     */
+    static createSharedState() {
+        return new SharedArrayBuffer(SHARED_SLOTS * 4);
+    }
+
+    /**
+     * Encodes a time using this generator's epoch, resolution and width.
+     * Identical to timeID.encodeTime for the default format.
+     * @param {Date | number} time
+     * @throws {RangeError} If the time is before the epoch or beyond the prefix capacity.
+     */
+    encodeTime(time) {
+        if (this._fast) return encodeTime(time);
+        return this._tag + this.alphabet.encode(this.timeKey(time), this.timeWidth);
+    }
+
+    /**
+     * Decodes a prefix created by this generator's encodeTime back to ms since the UNIX epoch
+     * (truncated to the resolution). Returns null if the tag, width or characters do not match.
+     * @param {string} tid
+     * @returns {number | null}
+     */
+    decodeTime(tid) {
+        if (this._fast) return decodeTime(tid);
+        if (typeof tid !== 'string' || tid.length < this.prefixLength) return null;
+        const tag = this._tag;
+        const head = tid.substring(0, tag.length);
+        if (head !== tag && !(this.alphabet.caseInsensitive && head.toLowerCase() === tag)) return null;
+        const units = this.alphabet.decode(tid, tag.length, this.prefixLength);
+        return units === -1 ? null : this.epoch + units * this._unit;
+    }
+
+    /**
+     * The value the prefix encodes for a time: ms for the default format, else whole
+     * resolution units since the epoch. Monotonic suffixes increment within one key.
+     * @param {Date | number} time
+     */
+    timeKey(time) {
+        if (this._fast) return time instanceof Date ? time.getTime() : time;
+        const ms = toEpoch(time);
+        if (typeof ms !== 'number' || !Number.isFinite(ms)) throw new TypeError(`Expected instanceof number or Date, received: ${typeof time}`);
+        const units = Math.floor((ms - this.epoch) / this._unit);
+        if (units < 0 || units >= this.alphabet.radix ** this.timeWidth) {
+            throw new RangeError(`Time ${ms} is outside the ${this.timeWidth}-char '${this.resolution}' range of epoch ${this.epoch}`);
+        }
+        return units;
+    }
+
+    /**
+     * Re-seeds the SFC32 state and clears the monotonic state.
+     * @param {number | number[]} [seed]
+     */
+    seed(seed) {
+        const [a, b, c] = seedWords(seed);
+        this._a = a; this._b = b; this._d = 1;
+        // Shared generators also mix in their instance number, so unseeded streams are always distinct
+        this._c = seed === undefined ? (c + Math.imul(this._instance, GOLDEN_RATIO_32)) | 0 : c;
+        for (let i = 0; i < 15; i++) this.nextInt32();
+        this._monoTime = -1;
+        this._monoRnd = '';
+        return this;
+    }
+
+    nextInt32() {
+        let t = (this._a + this._b) | 0; this._d = (this._d + 1) | 0;
+        this._a = this._b ^ (this._b >>> 9); this._b = (this._c + (this._c << 3)) | 0;
+        this._c = (this._c << 21) | (this._c >>> 11); this._c = (this._c + t) | 0;
+        return (t + this._d) | 0;
+    }
+
+    /**
+     * Reads the clock through the regression guard. If the clock reads behind the latest time
+     * it returned, onClockRegression is called and then `clockPolicy` applies:
+     * - 'none': return the clock as-is (IDs may sort before earlier ones).
+     * - 'clamp': return the latest time instead; clock-derived IDs use monotonic suffixes, so they still ascend.
+     * - 'wait': block the thread (Atomics.wait, no spinning) until the clock catches up, throwing
+     *   RangeError after maxClockWait ms of waiting, or at once where the runtime cannot block.
+     *   This stalls the event loop for up to maxClockWait ms.
+     * - 'throw': throw RangeError.
+     * @returns {number}
+     */
+    now() {
+        let t = this.clock();
+        if (t >= this.lastTime) return (this.lastTime = t);
+
+        const previous = this.lastTime;
+        if (this.onClockRegression) this.onClockRegression({ previous, current: t, skew: previous - t, policy: this.clockPolicy });
+        switch (this.clockPolicy) {
+            case 'clamp':
+                return previous;
+            case 'wait': {
+                // The budget counts time spent blocked, so it holds for injected clocks too
+                let waited = 0;
+                while (t < previous) {
+                    if (waited >= this.maxClockWait) throw new RangeError(`Clock still ${previous - t} ms behind after waiting ${this.maxClockWait} ms`);
+                    const step = Math.min(previous - t, this.maxClockWait - waited, MAX_WAIT_STEP);
+                    if (!blockFor(step)) throw new RangeError(`Clock ${previous - t} ms behind and this runtime cannot block; use clockPolicy 'clamp'`);
+                    waited += step;
+                    t = this.clock();
+                }
+                return (this.lastTime = t);
+            }
+            case 'throw':
+                throw new RangeError(`Clock moved backwards by ${previous - t} ms (from ${previous} to ${t})`);
+            default:
+                return t;
+        }
+    }
+
+    /**
+     * Suffix for an ID at `ts`. Clock-derived IDs under the 'clamp' policy are monotonic, so an ID
+     * minted while the time is held sorts after the previous one.
+     */
+    _suffix(ts, length, fromClock) {
+        if (fromClock && this.clockPolicy === 'clamp') return this.newMonotonicRandomness(this.timeKey(ts), length);
+        return this.newRandomness(length);
+    }
+
+    /**
+     * Reads the clock and claims the next (time key, counter) slot of the shared state.
+     * The key never goes backwards across generators; within a key the counter leads the suffix,
+     * so IDs sort in the order they were claimed. Leaves the claimed key in _sharedKey.
+     * @param {number} length
+     * @returns {string} The suffix.
+     */
+    _sharedSuffix(length) {
+        const s = /** @type {Int32Array} */ (this._shared);
+        const key = this.timeKey(this.now());
+        const capacity = this.alphabet.radix ** SHARED_COUNTER_CHARS;
+        lockShared(s);
+        let last = Atomics.load(s, SHARED_TIME_HI) * TWO_POW_32 + (Atomics.load(s, SHARED_TIME_LO) >>> 0);
+        let counter = 0;
+        if (key <= last) {
+            counter = Atomics.load(s, SHARED_COUNTER) + 1;
+            if (counter >= capacity) { last += 1; counter = 0; }
+        } else {
+            last = key;
+        }
+        Atomics.store(s, SHARED_TIME_HI, Math.floor(last / TWO_POW_32));
+        Atomics.store(s, SHARED_TIME_LO, last | 0);
+        Atomics.store(s, SHARED_COUNTER, counter);
+        unlockShared(s);
+
+        this._sharedKey = last;
+        return this.alphabet.encode(counter, SHARED_COUNTER_CHARS) + this.newRandomness(length).substring(SHARED_COUNTER_CHARS);
+    }
+
+    /** Prefix for a time key (ms for the default format, else units since the epoch). */
+    _encodeKey(key) {
+        return this._fast ? encodeTime(key) : this._tag + this.alphabet.encode(key, this.timeWidth);
+    }
+
+    /** Start of a time key in ms since the UNIX epoch. */
+    _keyTime(key) {
+        return this._fast ? key : this.epoch + key * this._unit;
+    }
+
+    _sharedID(length, delimiter) {
+        const rnd = this._sharedSuffix(length);
+        const id = this._encodeKey(this._sharedKey) + delimiter + this.node + rnd;
+        return this.check ? id + this.alphabet.checkChar(id) : id;
+    }
+
+    newRandomness(length = 12) {
+        return this.alphabet.newRandomness(length, this.secure ? SECURE_SOURCE : this);
+    }
+
+    /**
+     * Returns a random suffix that sorts strictly after the previous one when called
+     * again within the same millisecond (and with the same length).
+     * A new millisecond (or a different length) draws a fresh suffix via newRND.
+     * Throws RangeError if the suffix cannot be incremented any further within the millisecond.
+     */
+    newMonotonicRandomness(ts, length = 12) {
+        const len = length < 12 ? 12 : (length > 1024 ? 1024 : length);
+        if (ts === this._monoTime && this._monoRnd.length === len) {
+            const next = this.alphabet.increment(this._monoRnd);
+            if (next === null) throw new RangeError(`Monotonic randomness overflow at time: ${ts}`);
+            this._monoRnd = next;
+        } else {
+            this._monoTime = ts;
+            this._monoRnd = this.newRandomness(len);
+        }
+        return this._monoRnd;
+    }
+
+    newID(dateTime = undefined, length = 12, delimiter = '') {
+        if (dateTime === undefined && this._shared) return this._sharedID(length, delimiter);
+        const ts = dateTime ?? this.now();
+        const id = this.encodeTime(ts) + delimiter + this.node + this._suffix(ts, length, dateTime === undefined);
+        return this.check ? id + this.alphabet.checkChar(id) : id;
+    }
+
+    newTimeIDr(dateTime = undefined, length = 12, delimiter = '') {
+        if (dateTime instanceof Date) {
+            return new TimeIDRandom(dateTime, dateTime.getTime(), this.encodeTime(dateTime.getTime()), this.newRandomness(length), delimiter, this.node, this.check ? this.alphabet : null);
+        } else if (dateTime === undefined && this._shared) {
+            const rnd = this._sharedSuffix(length);
+            const ts = this._keyTime(this._sharedKey);
+            return new TimeIDRandom(new Date(ts), ts, this._encodeKey(this._sharedKey), rnd, delimiter, this.node, this.check ? this.alphabet : null);
+        } else if (dateTime === undefined || (typeof (dateTime) === 'number' && dateTime > 0)) {
+            const ts = dateTime ?? this.now();
+            return new TimeIDRandom(new Date(ts), ts, this.encodeTime(ts), this._suffix(ts, length, dateTime === undefined), delimiter, this.node, this.check ? this.alphabet : null);
+        }
+        throw new TypeError(`Expected instanceof Date|number`);
+    }
+
+    newMonotonicID(dateTime = undefined, length = 12, delimiter = '') {
+        if (dateTime === undefined) {
+            if (this._shared) return this._sharedID(length, delimiter);
+            dateTime = this.now();
+        }
+        const ts = dateTime instanceof Date ? dateTime.getTime() : dateTime;
+        const tid = this.encodeTime(ts);
+        const id = tid + delimiter + this.node + this.newMonotonicRandomness(this.timeKey(ts), length);
+        return this.check ? id + this.alphabet.checkChar(id) : id;
+    }
+
+    newMonotonicTimeIDr(dateTime = undefined, length = 12, delimiter = '') {
+        if (dateTime === undefined) {
+            if (this._shared) return this.newTimeIDr(undefined, length, delimiter);
+            dateTime = this.now();
+        }
+        if (dateTime instanceof Date) {
+            const ts = dateTime.getTime();
+            return new TimeIDRandom(dateTime, ts, this.encodeTime(ts), this.newMonotonicRandomness(this.timeKey(ts), length), delimiter, this.node, this.check ? this.alphabet : null);
+        } else if (typeof (dateTime) === 'number' && dateTime > 0) {
+            return new TimeIDRandom(new Date(dateTime), dateTime, this.encodeTime(dateTime), this.newMonotonicRandomness(this.timeKey(dateTime), length), delimiter, this.node, this.check ? this.alphabet : null);
+        }
+        throw new TypeError(`Expected instanceof Date|number`);
+    }
+
+    /**
+     * Generates `count` IDs in one call. The time prefix is encoded once per millisecond
+     * rather than once per ID.
+     * @param {number} count
+     * @param {Object} [options]
+     * @param {number} [options.length=12] Suffix length.
+     * @param {string} [options.delimiter='']
+     * @param {Date | number} [options.dateTime] Fixed time for every ID. Defaults to reading the clock per ID.
+     * @param {boolean} [options.ascending=false] Use monotonic suffixes so the output is strictly ascending.
+     *   Always on for clock-derived IDs under the 'clamp' clock policy.
+     * @param {string[]} [options.into] Caller-provided array to write into (reused instead of allocating).
+     * @param {number} [options.offset=0] Index in `into` to start writing at (0 to into.length); requires `into`.
+     * @returns {string[]}
+     */
+    newIDs(count, { length = 12, delimiter = '', dateTime = undefined, ascending = false, into = undefined, offset = 0 } = {}) {
+        if (!Number.isInteger(count) || count < 0) throw new RangeError(`Expected count of non-negative integer, received: ${count}`);
+        if (into !== undefined && !Array.isArray(into)) throw new TypeError(`Expected into of Array, received: ${typeof into}`);
+        if (offset !== 0) {
+            if (into === undefined) throw new TypeError('Expected offset only together with into');
+            // Past into.length the writes would leave holes
+            if (!Number.isInteger(offset) || offset < 0 || offset > into.length) {
+                throw new RangeError(`Expected offset of integer 0-${into.length}, received: ${offset}`);
+            }
+        }
+
+        const out = into ?? new Array(count);
+        const fixed = dateTime === undefined ? undefined : toEpoch(dateTime);
+        const rng = this.secure ? SECURE_SOURCE : this;
+        const monotonic = ascending || (fixed === undefined && this.clockPolicy === 'clamp');
+        let lastTs = NaN, prefix = '';
+
+        if (fixed === undefined && this._shared) {
+            for (let i = 0; i < count; i++) out[offset + i] = this._sharedID(length, delimiter);
+            return out;
+        }
+        for (let i = 0; i < count; i++) {
+            const ts = fixed === undefined ? this.now() : fixed;
+            if (ts !== lastTs) {
+                prefix = this.encodeTime(ts) + delimiter + this.node;
+                lastTs = ts;
+            }
+            const id = prefix + (monotonic ? this.newMonotonicRandomness(this.timeKey(ts), length) : this.alphabet.newRandomness(length, rng));
+            out[offset + i] = this.check ? id + this.alphabet.checkChar(id) : id;
+        }
+        return out;
+    }
+
+    /**
+     * Lazily yields IDs as an async iterator; nothing is generated until the consumer pulls,
+     * so back-pressure comes for free.
+     * @param {Object} [options]
+     * @param {number} [options.length=12] Suffix length.
+     * @param {string} [options.delimiter='']
+     * @param {number} [options.count=Infinity] Stop after this many IDs.
+     * @param {number} [options.rate=0] Maximum IDs per second (0 = unlimited).
+     * @param {boolean} [options.ascending=false] Use monotonic suffixes.
+     * @param {AbortSignal} [options.signal] Ends the stream when aborted.
+     * @returns {AsyncGenerator<string, void, undefined>}
+     */
+    async *stream({ length = 12, delimiter = '', count = Infinity, rate = 0, ascending = false, signal = undefined } = {}) {
+        if (!(count === Infinity || (Number.isInteger(count) && count >= 0))) throw new RangeError(`Expected count of non-negative integer, received: ${count}`);
+        if (!(Number.isFinite(rate) && rate >= 0)) throw new RangeError(`Expected rate of non-negative number, received: ${rate}`);
+
+        const interval = rate > 0 ? 1000 / rate : 0;
+        let due = Date.now();
+        for (let i = 0; i < count; i++) {
+            if (interval > 0) {
+                const wait = due - Date.now();
+                if (wait > 0) await sleep(wait);
+                // Slots missed while the consumer was idle are dropped, so rate stays a maximum
+                due = Math.max(due, Date.now()) + interval;
+            }
+            if (signal && signal.aborted) return;
+            if (this._shared) {
+                yield this._sharedID(length, delimiter);
+                continue;
+            }
+            const ts = this.now();
+            const id = this.encodeTime(ts) + delimiter + this.node + (ascending ? this.newMonotonicRandomness(this.timeKey(ts), length) : this._suffix(ts, length, true));
+            yield this.check ? id + this.alphabet.checkChar(id) : id;
+        }
+    }
+
+    /**
+     * Generates an ID whose time prefix carries sub-millisecond precision (see encodeTimePrecise).
+     * @param {bigint | number | Date} [time=nowNs()] bigint nanoseconds, fractional ms, or Date.
+     * @param {number} [length=12]
+     * @param {string} [delimiter='']
+     * @param {'us' | 'ns'} [precision='us']
+     */
+    newPreciseID(time = nowNs(), length = 12, delimiter = '', precision = 'us') {
+        if (!this._fast) throw new RangeError(`Sub-millisecond IDs require the default time format and alphabet`);
+        const id = encodeTimePrecise(time, precision) + delimiter + this.node + this.newRandomness(length);
+        return this.check ? id + this.alphabet.checkChar(id) : id;
+    }
+
+    /**
+     * Decodes an ID created by this generator (or a peer with the same format but another node).
+     * Returns undefined if it does not match the time format, delimiter or node segment width,
+     * or if the suffix has chars outside the alphabet.
+     * With `check` enabled, a well-formed ID whose check char does not match throws a
+     * TimeIDParseError (CHECKSUM_MISMATCH) instead, so typos are distinguishable from garbage.
+     * @throws {TimeIDParseError}
+     */
+    decodeID(tidr, delimiter = '') {
+        if (this._fast && this.node === '' && !this.check) return TimeIDRandom.decodeTimeIDr(tidr, delimiter);
+        if (typeof tidr !== 'string') return undefined;
+        const alphabet = this.alphabet;
+        const start = this.prefixLength + delimiter.length;
+        if (tidr.length < this.prefixLength || tidr.substring(this.prefixLength, start) !== delimiter) return undefined;
+        const ts = this.decodeTime(tidr);
+        if (ts === null) return undefined;
+
+        // Canonicalise case variants and aliases so the decoded strings match what was minted
+        const tid = this._tag + alphabet.normalize(tidr.substring(this._tag.length, this.prefixLength));
+        const rest = alphabet.normalize(tidr.substring(start));
+        const width = this.node.length;
+        const node = rest.substring(0, width);
+        if (rest.length < width || !alphabet.isValid(rest)) return undefined;
+        if (!this.check) return new TimeIDRandom(new Date(ts), ts, tid, rest.substring(width), delimiter, node);
+
+        if (rest.length - width < 2) return undefined;
+        const mismatch = checkMismatch(tid + delimiter + rest, 0, (str) => alphabet.checkChar(str));
+        if (mismatch) throw mismatch;
+        return new TimeIDRandom(new Date(ts), ts, tid, rest.substring(width, rest.length - 1), delimiter, node, alphabet);
+    }
+
+    /**
+     * Captures the PRNG and monotonic state as a plain, JSON-serialisable object.
+     */
+    snapshot() {
+        return {
+            state: [this._a, this._b, this._c, this._d],
+            monoTime: this._monoTime,
+            monoRnd: this._monoRnd
+        };
+    }
+
+    /**
+     * Restores state captured by snapshot(); the generator then replays the same sequence.
+     */
+    restore(snapshot) {
+        const state = snapshot && snapshot.state;
+        if (!Array.isArray(state) || state.length !== 4 || !state.every(Number.isFinite)) {
+            throw new TypeError(`Expected snapshot with state of number[4]`);
+        }
+        this._a = state[0] | 0; this._b = state[1] | 0; this._c = state[2] | 0; this._d = state[3] | 0;
+        this._monoTime = typeof snapshot.monoTime === 'number' ? snapshot.monoTime : -1;
+        this._monoRnd = typeof snapshot.monoRnd === 'string' ? snapshot.monoRnd : '';
+        return this;
+    }
+}
+
+// Backs the static timeIDr API. Cloudflare Workers forbid random generation while a module
+// loads, so this instance keeps the original Date.now() + Math.random() seed; generators
+// created later are seeded from the CSPRNG.
+const DEFAULT_GENERATOR = new TimeIDGenerator({ seed: [Date.now(), (Math.random() * 0xFFFFFFFF) | 0, (Math.random() * 0xFFFFFFFF) | 0] });
+
 class TimeID {
     date; time; tID;
     static CHAR_MAP = CHAR_MAP;
@@ -186,8 +1333,12 @@ class TimeID {
     }
 
     static decodeTime = decodeTime;
+    static encodeTimePrecise = encodeTimePrecise;
+    static decodeTimePrecise = decodeTimePrecise;
+    static nowNs = nowNs;
     static encodeTime = encodeTime;
     static encodeTimeNow = encodeTimeNow;
+    static encodeTimeExtended = encodeTimeExtended;
 
     static newTimeID(dateTime = new Date()) {
         if (dateTime instanceof Date) {
@@ -207,44 +1358,158 @@ class TimeID {
     }
     static decodeTID(tid) { return TimeID.decodeTimeID(tid); }
     static decodeID(tid) { return TimeID.decodeTID(tid); }
+
+    /**
+     * Longest prefix shared by every ID with a time in [start, end].
+     * Every matching ID starts with it, but so may IDs just outside the range; use prefixesFor for an exact cover.
+     * @param {Date | number} start
+     * @param {Date | number} [end=start]
+     */
+    static timePrefix(start, end = start) {
+        const a = encodeTime(start), b = encodeTime(end);
+        let i = 0;
+        while (i < 8 && a.charCodeAt(i) === b.charCodeAt(i)) i++;
+        return a.substring(0, i);
+    }
+
+    /**
+     * Minimal set of prefixes that together match exactly the IDs with a time in [start, end] (both inclusive).
+     * Each prefix of k chars covers an aligned block of 64^(8-k) ms.
+     * @param {Date | number} start
+     * @param {Date | number} end
+     * @returns {string[]}
+     */
+    static prefixesFor(start, end) {
+        let t = toEpoch(start);
+        const last = toEpoch(end);
+        encodeTime(t); encodeTime(last);
+        if (t > last) throw new RangeError(`Expected start <= end, received: ${t} > ${last}`);
+
+        const prefixes = [];
+        while (t <= last) {
+            let level = 0, block = 1;
+            while (level < 8 && t % (block * 64) === 0 && t + block * 64 - 1 <= last) {
+                level++;
+                block *= 64;
+            }
+            prefixes.push(encodeTime(t).substring(0, 8 - level));
+            t += block;
+        }
+        return prefixes;
+    }
 }
 
 class TimeIDRandom extends TimeID {
-    tIDr; randomness;
+    tIDr; randomness; node; check;
 
-    constructor(date, time, tid, randomness, delimiter = '') {
+    /**
+     * @param {TimeIDAlphabet | null} [checkAlphabet=null] If set, append that alphabet's check char to tIDr.
+     */
+    constructor(date, time, tid, randomness, delimiter = '', node = '', checkAlphabet = null) {
         super(date, time, tid);
         this.randomness = randomness;
-        this.tIDr = tid + delimiter + randomness;
+        this.node = node;
+        this.tIDr = tid + delimiter + node + randomness;
+        this.check = checkAlphabet ? checkAlphabet.checkChar(this.tIDr) : '';
+        this.tIDr += this.check;
     }
 
-    static newRandomness(length = 12) { return newRND(length) }
+    static newRandomness(length = 12) { return newRND(length, DEFAULT_GENERATOR) }
+    static newSecureRandomness(length = 12) { return newRND(length, SECURE_SOURCE) }
 
     static newTimeIDr(dateTime = new Date(), length = 12, delimiter = '') {
         if (dateTime instanceof Date) {
-            return new TimeIDRandom(dateTime, dateTime.getTime(), encodeTime(dateTime.getTime()), newRND(length), delimiter);
+            return new TimeIDRandom(dateTime, dateTime.getTime(), encodeTime(dateTime.getTime()), newRND(length, DEFAULT_GENERATOR), delimiter);
         } else if (typeof (dateTime) === 'number' && dateTime > 0) {
-            return new TimeIDRandom(new Date(dateTime), dateTime, encodeTime(dateTime), newRND(length), delimiter);
+            return new TimeIDRandom(new Date(dateTime), dateTime, encodeTime(dateTime), newRND(length, DEFAULT_GENERATOR), delimiter);
         }
         throw new TypeError(`Expected instanceof Date|number`);
     }
 
+    static newMonotonicTimeIDr(dateTime = new Date(), length = 12, delimiter = '') {
+        return DEFAULT_GENERATOR.newMonotonicTimeIDr(dateTime, length, delimiter);
+    }
+
+    static newMonotonicID(dateTime = Date.now(), length = 12, delimiter = '') {
+        return DEFAULT_GENERATOR.newMonotonicID(dateTime, length, delimiter);
+    }
+
+    /**
+     * Bulk form of newID; see TimeIDGenerator#newIDs for options.
+     * @param {number} count
+     * @param {Parameters<TimeIDGenerator['newIDs']>[1]} [options]
+     */
+    static newIDs(count, options = {}) {
+        return DEFAULT_GENERATOR.newIDs(count, options);
+    }
+
+    /**
+     * Async iterator of IDs; see TimeIDGenerator#stream for options.
+     * @param {Parameters<TimeIDGenerator['stream']>[0]} [options]
+     */
+    static stream(options = {}) {
+        return DEFAULT_GENERATOR.stream(options);
+    }
+
+    static newPreciseID(time = nowNs(), length = 12, delimiter = '', precision = 'us') {
+        return DEFAULT_GENERATOR.newPreciseID(time, length, delimiter, precision);
+    }
+
+    /**
+     * Decodes an ID created by newPreciseID. Returns undefined if the ID is invalid.
+     * @param {string} tidr
+     * @param {string} [delimiter='']
+     * @param {'us' | 'ns'} [precision='us']
+     * @returns {TimeIDPrecise | undefined}
+     */
+    static decodePreciseID(tidr, delimiter = '', precision = 'us') {
+        const { chars } = precisionOf(precision);
+        if (typeof tidr !== 'string') return undefined;
+        const ns = decodeTimePrecise(tidr, precision);
+        if (ns === null) return undefined;
+        const prefixLength = 8 + chars;
+        if (tidr.substring(prefixLength, prefixLength + delimiter.length) !== delimiter) return undefined;
+        return new TimeIDPrecise(ns, tidr.substring(0, prefixLength), tidr.substring(prefixLength + delimiter.length), delimiter);
+    }
+
     static newTIDr(dateTime = new Date(), length = 12, delimiter = '') {
-        return encodeTime(dateTime) + delimiter + newRND(length);
+        return encodeTime(dateTime) + delimiter + newRND(length, DEFAULT_GENERATOR);
     }
     static newID(dateTime = new Date(), length = 12, delimiter = '') {
-        return encodeTime(dateTime) + delimiter + newRND(length);
+        return encodeTime(dateTime) + delimiter + newRND(length, DEFAULT_GENERATOR);
+    }
+
+    /**
+     * Same as newID, with the 10-char extended time prefix: any ms timestamp a Date can hold, pre-1970 included.
+     * Extended IDs sort among themselves (across 1970 too), but not interleaved with default 8-char IDs.
+     */
+    static newExtendedID(dateTime = new Date(), length = 12, delimiter = '') {
+        return encodeTimeExtended(dateTime) + delimiter + newRND(length, DEFAULT_GENERATOR);
+    }
+
+    static newSecureTimeIDr(dateTime = new Date(), length = 12, delimiter = '') {
+        if (dateTime instanceof Date) {
+            return new TimeIDRandom(dateTime, dateTime.getTime(), encodeTime(dateTime.getTime()), newRND(length, SECURE_SOURCE), delimiter);
+        } else if (typeof (dateTime) === 'number' && dateTime > 0) {
+            return new TimeIDRandom(new Date(dateTime), dateTime, encodeTime(dateTime), newRND(length, SECURE_SOURCE), delimiter);
+        }
+        throw new TypeError(`Expected instanceof Date|number`);
+    }
+
+    static newSecureID(dateTime = new Date(), length = 12, delimiter = '') {
+        return encodeTime(dateTime) + delimiter + newRND(length, SECURE_SOURCE);
     }
 
     static decodeTimeIDr(tidr, delimiter = '') {
         if (typeof tidr === 'string') {
             if (tidr.length >= 8) {
-                const timePart = tidr.substring(0, 8);
+                const width = timeWidthAt(tidr);
+                const timePart = tidr.substring(0, width);
                 const ts = decodeTime(timePart);
                 if (ts !== null) {
-                    const startIndex = 8 + delimiter.length;
+                    const startIndex = width + delimiter.length;
                     if (delimiter.length > 0) {
-                        const actualDelimiter = tidr.substring(8, startIndex);
+                        const actualDelimiter = tidr.substring(width, startIndex);
                         if (actualDelimiter !== delimiter) return undefined;
                     }
                     const randomness = tidr.substring(startIndex);
@@ -257,7 +1522,147 @@ class TimeIDRandom extends TimeID {
     }
     static decodeTIDr(tidr, delimiter = '') { return TimeIDRandom.decodeTimeIDr(tidr, delimiter); }
     static decodeID(tidr, delimiter = '') { return TimeIDRandom.decodeTIDr(tidr, delimiter); }
+
+    /**
+     * Name-based ID: the time prefix of `time` plus a suffix derived from SHA-256 of (namespace, time, name).
+     * The same arguments always produce the same ID, so retries stay idempotent.
+     * @param {string | Uint8Array} namespace
+     * @param {string | Uint8Array} name
+     * @param {Date | number} time
+     * @param {number} [length=12]
+     * @param {string} [delimiter='']
+     * @returns {Promise<string>}
+     */
+    static async fromName(namespace, name, time, length = 12, delimiter = '') {
+        const ns = nameBytes(namespace, 'namespace'), nm = nameBytes(name, 'name');
+        const tid = encodeTime(time);
+        return tid + delimiter + await nameSuffix(ns, tid, nm, length);
+    }
+
+    /**
+     * True if `tidr` is the ID fromName derives for this namespace and name (at the time in its prefix).
+     * @param {string} tidr
+     * @param {string | Uint8Array} namespace
+     * @param {string | Uint8Array} name
+     * @param {string} [delimiter='']
+     * @returns {Promise<boolean>}
+     */
+    static async isFromName(tidr, namespace, name, delimiter = '') {
+        const ns = nameBytes(namespace, 'namespace'), nm = nameBytes(name, 'name');
+        if (validateTimeIDr(tidr, { delimiter }) instanceof TimeIDParseError) return false;
+        const suffix = tidr.substring(8 + delimiter.length);
+        return suffix === await nameSuffix(ns, tidr.substring(0, 8), nm, suffix.length);
+    }
+
+    /**
+     * Mod-64 weighted check char of an ID (delimiters are skipped).
+     * @param {string} tidr
+     */
+    static checkChar(tidr) { return checkChar(tidr); }
+
+    /**
+     * Same as newID, with a trailing check char for typo detection.
+     */
+    static newCheckedID(dateTime = new Date(), length = 12, delimiter = '') {
+        const id = encodeTime(dateTime) + delimiter + newRND(length, DEFAULT_GENERATOR);
+        return id + checkChar(id);
+    }
+
+    /**
+     * Decodes an ID created by newCheckedID. Returns undefined if the ID is malformed;
+     * throws a TimeIDParseError (CHECKSUM_MISMATCH) if it is well-formed but the check char does not match.
+     * @param {string} tidr
+     * @param {string} [delimiter='']
+     * @throws {TimeIDParseError}
+     */
+    static decodeCheckedID(tidr, delimiter = '') {
+        const ts = validateTimeIDr(tidr, { delimiter, check: true });
+        if (ts instanceof TimeIDParseError) {
+            if (ts.code === TimeIDParseError.CHECKSUM_MISMATCH) throw ts;
+            return undefined;
+        }
+        const width = timeWidthAt(tidr);
+        return new TimeIDRandom(new Date(ts), ts, tidr.substring(0, width), tidr.substring(width + delimiter.length, tidr.length - 1), delimiter, '', TimeIDAlphabet.BASE64);
+    }
+
+    /**
+     * Strictly decodes a full ID: every character and the delimiter are checked, and optionally a
+     * type prefix (stripped from the result), a trailing check char, the suffix length and the time window.
+     * @param {string} tidr
+     * @param {{ length?: number, delimiter?: string, prefix?: string, check?: boolean, minTime?: Date | number, maxTime?: Date | number }} [options]
+     * @throws {TimeIDParseError}
+     */
+    static parse(tidr, options = {}) {
+        const ts = validateTimeIDr(tidr, options);
+        if (ts instanceof TimeIDParseError) throw ts;
+        const delimiter = options.delimiter ?? '';
+        const p = options.prefix?.length ?? 0;
+        const check = options.check === true;
+        const width = timeWidthAt(tidr, p);
+        const randomness = tidr.substring(p + width + delimiter.length, tidr.length - (check ? 1 : 0));
+        return new TimeIDRandom(new Date(ts), ts, tidr.substring(p, p + width), randomness, delimiter, '', check ? TimeIDAlphabet.BASE64 : null);
+    }
+
+    /**
+     * Non-throwing form of parse.
+     * @param {string} tidr
+     * @param {{ length?: number, delimiter?: string, prefix?: string, check?: boolean, minTime?: Date | number, maxTime?: Date | number }} [options]
+     */
+    static isValid(tidr, options = {}) {
+        return !(validateTimeIDr(tidr, options) instanceof TimeIDParseError);
+    }
+
+    /**
+     * Lowest possible ID for a time (suffix of all '0'). Sorts before every ID of that time with the same delimiter.
+     */
+    static minForTime(dateTime, length = 12, delimiter = '') {
+        return encodeTime(toEpoch(dateTime)) + delimiter + CHAR_DICT[0].repeat(length);
+    }
+
+    /**
+     * Highest possible ID for a time (suffix of all '~'). Sorts after every ID of that time whose suffix is at most `length` chars.
+     */
+    static maxForTime(dateTime, length = 12, delimiter = '') {
+        return encodeTime(toEpoch(dateTime)) + delimiter + CHAR_DICT[63].repeat(length);
+    }
+
+    /**
+     * Boundary IDs for every ID with a time in [start, end] (both inclusive, ms resolution).
+     * - `gte`: inclusive lower bound (the 8-char time of start), exact for any suffix length and delimiter.
+     * - `lte`: inclusive upper bound (SQL BETWEEN), exact for suffixes of at most `length` chars.
+     * - `lt`: exclusive upper bound (the 8-char time of end + 1 ms), exact for any suffix length and delimiter.
+     *   Null when end is the last encodable ms: no 8-char prefix sorts after it, so nothing bounds the range above.
+     * @param {Date | number} start
+     * @param {Date | number} end
+     * @returns {{ gte: string, lte: string, lt: string | null }}
+     */
+    static rangeFor(start, end, length = 12, delimiter = '') {
+        const from = toEpoch(start), to = toEpoch(end);
+        if (from > to) throw new RangeError(`Expected start <= end, received: ${from} > ${to}`);
+        return {
+            gte: encodeTime(from),
+            lte: TimeIDRandom.maxForTime(to, length, delimiter),
+            lt: to === MAX_TIME ? null : encodeTime(to + 1)
+        };
+    }
+}
+
+/**
+ * A decoded sub-millisecond ID. `time` and `date` keep millisecond resolution for
+ * compatibility; `timeNs` and `preciseTime` carry the full precision.
+ */
+class TimeIDPrecise extends TimeIDRandom {
+    /** @type {bigint} */ timeNs;
+    /** @type {number} */ preciseTime;
+
+    constructor(timeNs, tid, randomness, delimiter = '') {
+        const ms = Number(timeNs / NS_PER_MS);
+        super(new Date(ms), ms, tid, randomness, delimiter);
+        this.timeNs = timeNs;
+        this.preciseTime = ms + Number(timeNs % NS_PER_MS) / 1e6;
+    }
 }
 
 export const timeID  = TimeID;
-export const timeIDr = TimeIDRandom;
\ No newline at end of file
+export const timeIDr = TimeIDRandom;
+export { TimeIDAlphabet, TimeIDGenerator, TimeIDParseError, TimeIDPrecise };
\ No newline at end of file
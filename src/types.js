@@ -0,0 +1,52 @@
+// @ts-check
+
+/**
+ * @fileoverview Typed, prefixed IDs in the style of `usr_08kL_1z2...` / `ord_08kL_1z2...`.
+ *
+ * The type prefix is fixed-width within a type, so IDs of one type still sort chronologically,
+ * and strict parsing can tell an `ord_` ID apart from a `usr_` ID instead of misreading the
+ * prefix as part of the timestamp.
+ */
+
+import { timeIDr } from './timeID.js';
+
+const TYPE_PATTERN = /^[A-Za-z0-9]+$/;
+
+/**
+ * @typedef {Object} IDType
+ * @property {string} type The type name (e.g. 'usr').
+ * @property {string} prefix The full prefix written before the time (e.g. 'usr_').
+ * @property {(dateTime?: Date | number) => string} new Creates a new ID of this type.
+ * @property {(id: *) => InstanceType<typeof timeIDr>} parse Strictly decodes an ID of this type (the result's tIDr excludes the prefix); throws TimeIDParseError, with code TYPE_MISMATCH for another type.
+ * @property {(id: *) => boolean} is True if `id` is a well-formed ID of this type.
+ */
+
+/**
+ * Defines an ID type with its own prefix and suffix format.
+ * @param {string} type Type name of ASCII letters and digits, e.g. 'usr'.
+ * @param {Object} [options]
+ * @param {number} [options.length] Suffix length (12-1024). Defaults to 12.
+ * @param {string} [options.delimiter] Delimiter between time and suffix. Defaults to ''.
+ * @param {string} [options.separator] Separator between the type and the time. Defaults to '_'.
+ * @returns {IDType}
+ */
+export const defineIDType = function (type, { length = 12, delimiter = '', separator = '_' } = {}) {
+    if (typeof type !== 'string' || !TYPE_PATTERN.test(type)) {
+        throw new TypeError(`Expected type of ASCII letters and digits, received: '${type}'`);
+    }
+    if (typeof separator !== 'string') throw new TypeError(`Expected separator string, received: ${typeof separator}`);
+    if (!Number.isInteger(length) || length < 12 || length > 1024) {
+        throw new RangeError(`Expected length of 12-1024, received: ${length}`);
+    }
+
+    const prefix = type + separator;
+    const parseOptions = Object.freeze({ prefix, length, delimiter });
+
+    return Object.freeze({
+        type,
+        prefix,
+        new: (dateTime) => prefix + timeIDr.newID(dateTime, length, delimiter),
+        parse: (id) => timeIDr.parse(id, parseOptions),
+        is: (id) => timeIDr.isValid(id, parseOptions)
+    });
+}
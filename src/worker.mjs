@@ -1,6 +1,230 @@
+import { timeID, timeIDr } from './timeID.js';
+
+// --- API LIMITS ---
+const MAX_COUNT = 1000;
+const MIN_LENGTH = 12;
+const MAX_LENGTH = 1024;
+const MAX_DELIMITER_LENGTH = 8;
+const FORMATS = ['json', 'text', 'ndjson'];
+const MAX_DECODE = 1000;
+// Extended IDs (timeIDr.newExtendedID) mark their 10-char time prefix with a leading '.'
+const EXTENDED_MARKER = '.';
+const EXTENDED_WIDTH = 10;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Max-Age': '86400'
+};
+
+/**
+ * Thrown by request handlers to produce a JSON error body with a matching status.
+ */
+class ApiError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const respond = function (body, status, contentType) {
+    return new Response(body, {
+        status,
+        headers: { ...CORS_HEADERS, 'Content-Type': contentType, 'Cache-Control': 'no-store' }
+    });
+}
+
+const json = function (data, status = 200) {
+    return respond(JSON.stringify(data), status, 'application/json; charset=utf-8');
+}
+
+const errorResponse = function (status, code, message) {
+    return json({ error: { status, code, message } }, status);
+}
+
+/**
+ * Parses an optional integer query parameter, enforcing [min, max].
+ */
+const intParam = function (params, name, fallback, min, max) {
+    const raw = params.get(name);
+    if (raw === null || raw === '') return fallback;
+    if (!/^\d+$/.test(raw)) throw new ApiError(400, 'invalid_parameter', `'${name}' must be an integer, received: '${raw}'`);
+    const value = Number(raw);
+    if (value < min || value > max) throw new ApiError(400, 'out_of_range', `'${name}' must be between ${min} and ${max}, received: ${value}`);
+    return value;
+}
+
+/**
+ * GET /api/id?count=&length=&delimiter=&format=
+ */
+const handleNewIDs = function (url) {
+    const params = url.searchParams;
+    const count = intParam(params, 'count', 1, 1, MAX_COUNT);
+    const length = intParam(params, 'length', 12, MIN_LENGTH, MAX_LENGTH);
+
+    const delimiter = params.get('delimiter') ?? '';
+    if (delimiter.length > MAX_DELIMITER_LENGTH) {
+        throw new ApiError(400, 'out_of_range', `'delimiter' must be at most ${MAX_DELIMITER_LENGTH} characters`);
+    }
+    for (const ch of delimiter) {
+        // Dictionary chars blur the boundary with the suffix; control chars break line-based output
+        if (ch in timeID.CHAR_MAP || /\p{Cc}/u.test(ch)) {
+            throw new ApiError(400, 'invalid_parameter', `'delimiter' must not contain control or ID alphabet characters, received: ${JSON.stringify(delimiter)}`);
+        }
+    }
+
+    const format = params.get('format') ?? 'json';
+    if (!FORMATS.includes(format)) {
+        throw new ApiError(400, 'invalid_parameter', `'format' must be one of ${FORMATS.join(', ')}, received: '${format}'`);
+    }
+
+    const now = Date.now();
+    const ids = new Array(count);
+    for (let i = 0; i < count; i++) ids[i] = timeIDr.newID(now, length, delimiter);
+
+    if (format === 'text') return respond(ids.join('\n') + '\n', 200, 'text/plain; charset=utf-8');
+    if (format === 'ndjson') return respond(ids.map((id) => JSON.stringify({ id })).join('\n') + '\n', 200, 'application/x-ndjson');
+    return json({ ids, count, length, delimiter, time: now });
+}
+
+/**
+ * Decodes a single ID, reporting why it is invalid instead of returning null/undefined.
+ * With no explicit delimiter, any run of non-dictionary characters after the timestamp
+ * is treated as the delimiter. Extended IDs have a 10-char timestamp instead of 8.
+ */
+const inspectID = function (id, delimiter) {
+    const fail = (code, message, offset) => ({ id, valid: false, error: offset === undefined ? { code, message } : { code, message, offset } });
+
+    if (typeof id !== 'string') return fail('invalid_type', `Expected string, received: ${id === null ? 'null' : typeof id}`);
+    const extended = id[0] === EXTENDED_MARKER;
+    const width = extended ? EXTENDED_WIDTH : 8;
+    if (id.length < width) return fail('too_short', `Expected length >= ${width}, received: ${id.length}`);
+
+    for (let i = extended ? 1 : 0; i < width; i++) {
+        if (!(id[i] in timeID.CHAR_MAP)) return fail('invalid_character', `Invalid timestamp character '${id[i]}' at offset ${i}`, i);
+    }
+
+    let start = width;
+    if (delimiter === undefined) {
+        while (start < id.length && !(id[start] in timeID.CHAR_MAP)) start++;
+        delimiter = id.substring(width, start);
+    } else {
+        if (id.substring(width, width + delimiter.length) !== delimiter) {
+            return fail('delimiter_mismatch', `Expected delimiter '${delimiter}' at offset ${width}`, width);
+        }
+        start = width + delimiter.length;
+    }
+
+    for (let i = start; i < id.length; i++) {
+        if (!(id[i] in timeID.CHAR_MAP)) return fail('invalid_character', `Invalid randomness character '${id[i]}' at offset ${i}`, i);
+    }
+
+    const decoded = timeIDr.decodeID(id, delimiter);
+    if (!decoded || Number.isNaN(decoded.date.getTime())) return fail('invalid_time', 'Timestamp is out of the representable Date range');
+
+    return {
+        id,
+        valid: true,
+        time: decoded.date.toISOString(),
+        epoch: decoded.time,
+        timePart: decoded.tID,
+        delimiter,
+        randomness: decoded.randomness
+    };
+}
+
+/**
+ * POST /api/decode
+ * Accepts a JSON array of IDs, a JSON object `{ ids, delimiter? }`, or plain text with one ID per line.
+ */
+const handleDecodeBatch = async function (request) {
+    const contentType = request.headers.get('Content-Type') || '';
+    const raw = await request.text();
+    let ids, delimiter;
+
+    if (contentType.includes('application/json')) {
+        let body;
+        try {
+            body = JSON.parse(raw);
+        } catch (e) {
+            throw new ApiError(400, 'invalid_body', 'Request body is not valid JSON');
+        }
+        if (Array.isArray(body)) {
+            ids = body;
+        } else if (body && Array.isArray(body.ids)) {
+            ids = body.ids;
+            delimiter = body.delimiter;
+        } else {
+            throw new ApiError(400, 'invalid_body', `Expected a JSON array or an object with an 'ids' array`);
+        }
+        if (delimiter !== undefined && typeof delimiter !== 'string') {
+            throw new ApiError(400, 'invalid_parameter', `'delimiter' must be a string`);
+        }
+    } else {
+        ids = raw.split(/\r?\n/).map((line) => line.trim()).filter((line) => line.length > 0);
+    }
+
+    if (ids.length === 0) throw new ApiError(400, 'invalid_body', 'No IDs provided');
+    if (ids.length > MAX_DECODE) throw new ApiError(400, 'out_of_range', `At most ${MAX_DECODE} IDs per request, received: ${ids.length}`);
+
+    const results = ids.map((id) => inspectID(id, delimiter));
+    const invalid = results.reduce((n, r) => n + (r.valid ? 0 : 1), 0);
+    return json({ results, count: results.length, invalid });
+}
+
+/**
+ * GET /api/decode/:id?delimiter=
+ * Responds 200 for a valid ID and 422 (same body shape) for an invalid one.
+ */
+const handleDecodeOne = function (url) {
+    let id;
+    try {
+        id = decodeURIComponent(url.pathname.substring('/api/decode/'.length));
+    } catch (e) {
+        throw new ApiError(400, 'invalid_parameter', 'ID is not a valid URI component');
+    }
+    const delimiter = url.searchParams.get('delimiter') ?? undefined;
+    const result = inspectID(id, delimiter);
+    return json(result, result.valid ? 200 : 422);
+}
+
+const requireMethod = function (request, url, method) {
+    if (request.method !== method) throw new ApiError(405, 'method_not_allowed', `Method ${request.method} not allowed on ${url.pathname}`);
+}
+
+/**
+ * Routes /api/* requests. Always returns a Response; errors become JSON bodies.
+ */
+const handleApi = async function (request, url) {
+    if (request.method === 'OPTIONS') return new Response(null, { status: 204, headers: CORS_HEADERS });
+    try {
+        if (url.pathname === '/api/id') {
+            requireMethod(request, url, 'GET');
+            return handleNewIDs(url);
+        }
+        if (url.pathname === '/api/decode') {
+            requireMethod(request, url, 'POST');
+            return await handleDecodeBatch(request);
+        }
+        if (url.pathname.startsWith('/api/decode/') && url.pathname.length > '/api/decode/'.length) {
+            requireMethod(request, url, 'GET');
+            return handleDecodeOne(url);
+        }
+        throw new ApiError(404, 'not_found', `No API route for ${url.pathname}`);
+    } catch (e) {
+        if (e instanceof ApiError) return errorResponse(e.status, e.code, e.message);
+        return errorResponse(500, 'internal_error', 'Internal error');
+    }
+}
+
 export default {
     async fetch(request, env) {
         const url = new URL(request.url);
+        if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+            return handleApi(request, url);
+        }
         // Serve the index.html for the root path
         if (url.pathname === "/") {
             return env.ASSETS.fetch(new Request(new URL("/index.html", request.url), request));
@@ -12,4 +236,4 @@ export default {
             return new Response("Not Found", { status: 404 });
         }
     },
-};
\ No newline at end of file
+};
@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { timeID, timeIDr } from '../src/timeID.js';
+import { run, EXIT_OK, EXIT_INVALID, EXIT_USAGE } from '../src/cli.js';
+
+// Runs the CLI against in-memory streams.
+const cli = async (argv, stdinLines = null) => {
+    const out = [], err = [];
+    const stdin = stdinLines === null ? Object.assign(Readable.from([]), { isTTY: true }) : Readable.from([stdinLines.join('\n')]);
+    const code = await run(argv, {
+        stdin,
+        stdout: { write: (chunk) => out.push(chunk) },
+        stderr: { write: (chunk) => err.push(chunk) }
+    });
+    return { code, stdout: out.join(''), stderr: err.join('') };
+};
+
+describe('CLI: new', () => {
+
+    it('should print one default ID per line', async () => {
+        const { code, stdout } = await cli(['new', '-n', '3']);
+        const ids = stdout.trim().split('\n');
+
+        assert.equal(code, EXIT_OK);
+        assert.equal(ids.length, 3);
+        for (const id of ids) assert.ok(timeIDr.isValid(id, { length: 12 }));
+    });
+
+    it('should honor length, delimiter, monotonic and formats', async () => {
+        const json = await cli(['new', '--count', '50', '--length', '21', '--delimiter', '-', '--monotonic', '--format', 'json']);
+        const ids = JSON.parse(json.stdout);
+        assert.equal(ids.length, 50);
+        assert.deepEqual([...ids].sort(), ids);
+        assert.ok(ids.every((id) => timeIDr.isValid(id, { length: 21, delimiter: '-' })));
+
+        const ndjson = await cli(['new', '-n', '2', '-f', 'ndjson']);
+        assert.equal(ndjson.stdout.trim().split('\n').map((l) => JSON.parse(l).id).length, 2);
+    });
+
+    it('should exit with a usage error for bad options', async () => {
+        assert.equal((await cli(['new', '-n', 'abc'])).code, EXIT_USAGE);
+        assert.equal((await cli(['new', '-f', 'xml'])).code, EXIT_USAGE);
+        assert.equal((await cli(['new', '--bogus'])).code, EXIT_USAGE);
+        assert.equal((await cli(['new', '-n', '1000000000'])).code, EXIT_USAGE);
+        for (const length of ['3', '11', '1025', '5000']) {
+            assert.equal((await cli(['new', '-l', length])).code, EXIT_USAGE, length);
+            assert.equal((await cli(['range', '1000', '-l', length])).code, EXIT_USAGE, length);
+        }
+        assert.equal((await cli(['new', '-l', '1024'])).stdout.trim().length, 8 + 1024);
+    });
+});
+
+describe('CLI: decode', () => {
+
+    const T = 1731451200123;
+
+    it('should decode IDs given as arguments', async () => {
+        const id = timeIDr.newID(T);
+        const { code, stdout } = await cli(['decode', id]);
+        const [printed, iso, epoch, randomness] = stdout.trim().split('\t');
+
+        assert.equal(code, EXIT_OK);
+        assert.equal(printed, id);
+        assert.equal(iso, new Date(T).toISOString());
+        assert.equal(Number(epoch), T);
+        assert.equal(randomness, id.substring(8));
+    });
+
+    it('should decode IDs from stdin lines as JSON', async () => {
+        const ids = [timeIDr.newID(T, 12, '-'), timeIDr.newID(T + 1, 12, '-')];
+        const { code, stdout } = await cli(['decode', '-d', '-', '--json'], [...ids, '']);
+        const results = JSON.parse(stdout);
+
+        assert.equal(code, EXIT_OK);
+        assert.deepEqual(results.map((r) => r.epoch), [T, T + 1]);
+    });
+
+    it('should exit non-zero on invalid IDs and report the reason', async () => {
+        const { code, stdout, stderr } = await cli(['decode', timeIDr.newID(T), 'bad$char12345']);
+
+        assert.equal(code, EXIT_INVALID);
+        assert.equal(stdout.trim().split('\n').length, 1);
+        assert.match(stderr, /INVALID_CHARACTER/);
+    });
+
+    it('should require input', async () => {
+        assert.equal((await cli(['decode'])).code, EXIT_USAGE);
+    });
+});
+
+describe('CLI: range and encode', () => {
+
+    it('should print range boundaries', async () => {
+        const { code, stdout } = await cli(['range', '2025-01-01T00:00:00Z', '2025-01-02T00:00:00Z', '--json']);
+        const range = JSON.parse(stdout);
+        const expected = timeIDr.rangeFor(Date.parse('2025-01-01T00:00:00Z'), Date.parse('2025-01-02T00:00:00Z'));
+
+        assert.equal(code, EXIT_OK);
+        assert.equal(range.gte, expected.gte);
+        assert.equal(range.lte, expected.lte);
+        assert.equal(range.lt, expected.lt);
+        assert.ok(range.gte.startsWith(range.prefix));
+    });
+
+    it('should reject invalid ranges', async () => {
+        assert.equal((await cli(['range'])).code, EXIT_USAGE);
+        assert.equal((await cli(['range', 'not-a-date'])).code, EXIT_USAGE);
+        assert.equal((await cli(['range', '2000', '1000'])).code, EXIT_USAGE);
+        assert.equal((await cli(['range', '300000000000000'])).code, EXIT_USAGE);
+    });
+
+    it('should omit lt at the end of the time range', async () => {
+        const { code, stdout } = await cli(['range', String(2 ** 48 - 2), String(2 ** 48 - 1)]);
+        assert.equal(code, EXIT_OK);
+        assert.doesNotMatch(stdout, /^lt\t/m);
+        assert.match(stdout, /^gte\t/m);
+    });
+
+    it('should encode ISO dates and epoch milliseconds', async () => {
+        const { code, stdout } = await cli(['encode', '2025-01-01T00:00:00Z', '1731451200123']);
+
+        assert.equal(code, EXIT_OK);
+        assert.deepEqual(stdout.trim().split('\n'), [timeID.encodeTime(Date.parse('2025-01-01T00:00:00Z')), timeID.encodeTime(1731451200123)]);
+    });
+
+    it('should report times past the 8-char range as usage errors', async () => {
+        const { code, stderr } = await cli(['encode', '300000000000000']);
+        assert.equal(code, EXIT_USAGE);
+        assert.match(stderr, /outside the 8-char prefix range/);
+    });
+
+    it('should reject loose and out-of-range dates', async () => {
+        for (const date of ['-5', 'May 1', '2025-13-40', '2025/01/01', '1e3', '281474976710656']) {
+            assert.equal((await cli(['encode', '--', date])).code, EXIT_USAGE, date);
+        }
+        const { code, stdout } = await cli(['encode', '2025-01-01', '2025-01-01T12:00:00.5+02:00', '281474976710655']);
+        assert.equal(code, EXIT_OK);
+        assert.equal(stdout.trim().split('\n')[2], '~~~~~~~~');
+    });
+
+    it('should print usage for help and unknown commands', async () => {
+        const help = await cli(['--help']);
+        assert.equal(help.code, EXIT_OK);
+        assert.match(help.stdout, /Usage: timeid/);
+
+        assert.equal((await cli(['frobnicate'])).code, EXIT_USAGE);
+        assert.equal((await cli([])).code, EXIT_USAGE);
+    });
+});
@@ -0,0 +1,230 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { timeIDr } from '../src/timeID.js';
+import { toUUIDv7, fromUUIDv7, newUUIDv7, toULID, fromULID, toKSUID, fromKSUID, toBytes, fromBytes } from '../src/convert.js';
+
+const UUIDV7_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('UUIDv7 Conversion', () => {
+
+    it('should map the timestamp to unix_ts_ms and set version/variant bits', () => {
+        const now = 1731451200123;
+        const uuid = toUUIDv7(timeIDr.newID(now));
+
+        assert.match(uuid, UUIDV7_RE);
+        assert.equal(parseInt(uuid.replace(/-/g, '').substring(0, 12), 16), now);
+    });
+
+    it('should round-trip a default 12-char timeIDr losslessly', () => {
+        for (let i = 0; i < 100; i++) {
+            const id = timeIDr.newID();
+            assert.equal(fromUUIDv7(toUUIDv7(id), 12), id);
+        }
+    });
+
+    it('should round-trip a UUIDv7 losslessly with the default length', () => {
+        for (let i = 0; i < 100; i++) {
+            const uuid = newUUIDv7();
+            const id = fromUUIDv7(uuid);
+            assert.equal(id.length, 8 + 13);
+            assert.equal(toUUIDv7(id), uuid);
+        }
+    });
+
+    it('should preserve sort order in both directions', () => {
+        const ids = [];
+        for (let i = 0; i < 200; i++) ids.push(timeIDr.newID(1731451200000 + (i % 5)));
+        ids.sort();
+
+        const uuids = ids.map((id) => toUUIDv7(id));
+        assert.deepEqual([...uuids].sort(), uuids);
+        assert.deepEqual(uuids.map((u) => fromUUIDv7(u, 12)), ids);
+    });
+
+    it('should truncate suffix bits beyond 74', () => {
+        const id = timeIDr.newID(1731451200000, 21);
+        const back = fromUUIDv7(toUUIDv7(id), 21);
+
+        assert.equal(back.substring(0, 20), id.substring(0, 20), 'First 12 suffix chars survive');
+        assert.equal(back.substring(21), '00000000', 'Bits past 74 are zeroed');
+    });
+
+    it('should honor delimiters', () => {
+        const id = timeIDr.newID(1731451200000, 12, '-');
+        const uuid = toUUIDv7(id, '-');
+        assert.equal(fromUUIDv7(uuid, 12, '-'), id);
+    });
+
+    it('should accept undashed and uppercase UUIDs', () => {
+        const uuid = newUUIDv7(1731451200000);
+        assert.equal(fromUUIDv7(uuid.replace(/-/g, '').toUpperCase()), fromUUIDv7(uuid));
+    });
+
+    it('should reject invalid input', () => {
+        assert.throws(() => toUUIDv7('bad$char0000'), TypeError);
+        assert.throws(() => toUUIDv7(42), TypeError);
+        assert.throws(() => fromUUIDv7('550e8400-e29b-41d4-a716-446655440000'), TypeError, 'UUIDv4 is not v7');
+        assert.throws(() => fromUUIDv7('not-a-uuid'), TypeError);
+    });
+
+    it('should convert extended-prefix IDs only within the 48-bit range', () => {
+        const id = timeIDr.newExtendedID(1731451200123);
+        assert.equal(parseInt(toUUIDv7(id).replace(/-/g, '').substring(0, 12), 16), 1731451200123);
+        assert.throws(() => toUUIDv7(timeIDr.newExtendedID(-1)), RangeError);
+        assert.throws(() => toBytes(timeIDr.newExtendedID(2 ** 48)), RangeError);
+    });
+});
+
+describe('ULID Conversion', () => {
+
+    it('should decode the reference ULID timestamp', () => {
+        // Example from the ULID reference implementation: ulid(1469918176385)
+        const id = fromULID('01ARYZ6S41TSV4RRFFQ69G5FAV');
+        assert.equal(timeIDr.decodeID(id).time, 1469918176385);
+        assert.equal(toULID(id), '01ARYZ6S41TSV4RRFFQ69G5FAV');
+    });
+
+    it('should round-trip timeIDr -> ULID -> timeIDr for 12 and 13 char suffixes', () => {
+        for (const length of [12, 13]) {
+            const id = timeIDr.newID(new Date(), length);
+            const ulid = toULID(id, '', true);
+            assert.match(ulid, /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/);
+            assert.equal(fromULID(ulid, length), id);
+        }
+    });
+
+    it('should accept lowercase input and Crockford aliases', () => {
+        assert.equal(fromULID('01aryz6s41tsv4rrffq69g5fav'), fromULID('01ARYZ6S41TSV4RRFFQ69G5FAV'));
+        assert.equal(fromULID('O1ARYZ6S41TSV4RRFFQ69G5FAV'), fromULID('01ARYZ6S41TSV4RRFFQ69G5FAV'));
+    });
+
+    it('should preserve sort order', () => {
+        const ids = [];
+        for (let i = 0; i < 200; i++) ids.push(timeIDr.newID(1731451200000 + (i % 5)));
+        ids.sort();
+
+        const ulids = ids.map((id) => toULID(id));
+        assert.deepEqual([...ulids].sort(), ulids);
+    });
+
+    it('should report precision loss in strict mode', () => {
+        const long = timeIDr.newID(new Date(), 21);
+        assert.throws(() => toULID(long, '', true), RangeError);
+        assert.doesNotThrow(() => toULID(long));
+
+        const ulid = '01ARYZ6S41TSV4RRFFQ69G5FAV';
+        assert.throws(() => fromULID(ulid, 12, '', true), RangeError);
+        assert.doesNotThrow(() => fromULID(ulid, 14, '', true));
+        assert.doesNotThrow(() => toULID(fromULID(ulid, 14), '', true), 'Zero padding is not a loss');
+    });
+
+    it('should reject invalid ULIDs', () => {
+        assert.throws(() => fromULID('01ARYZ6S41TSV4RRFFQ69G5FA'), TypeError);
+        assert.throws(() => fromULID('01ARYZ6S41TSV4RRFFQ69G5FAU'), TypeError);
+        assert.throws(() => fromULID('81ARYZ6S41TSV4RRFFQ69G5FAV'), TypeError);
+    });
+});
+
+describe('KSUID Conversion', () => {
+
+    // Example from segmentio/ksuid
+    const KSUID = '0ujtsYcgvSTl8PAuAdqWYSMnLOv';
+
+    it('should decode the reference KSUID timestamp to the start of its second', () => {
+        const id = fromKSUID(KSUID);
+        assert.equal(new Date(timeIDr.decodeID(id).time).toISOString(), '2017-10-10T04:00:47.000Z');
+        assert.equal(id.length, 8 + 22);
+    });
+
+    it('should round-trip KSUID -> timeIDr -> KSUID losslessly', () => {
+        assert.equal(toKSUID(fromKSUID(KSUID), '', true), KSUID);
+    });
+
+    it('should keep the suffix when converting timeIDr -> KSUID -> timeIDr', () => {
+        const id = timeIDr.newID(1731451200000, 21);
+        const back = fromKSUID(toKSUID(id, '', true), 21);
+        assert.equal(back, id);
+    });
+
+    it('should preserve sort order across seconds', () => {
+        const ids = [];
+        for (let i = 0; i < 100; i++) ids.push(timeIDr.newID(1731451200000 + (i % 4) * 1000));
+        ids.sort();
+
+        const ksuids = ids.map((id) => toKSUID(id));
+        assert.deepEqual([...ksuids].sort(), ksuids);
+    });
+
+    it('should report precision loss in strict mode', () => {
+        const withMs = timeIDr.newID(1731451200123);
+        assert.throws(() => toKSUID(withMs, '', true), RangeError);
+        assert.doesNotThrow(() => toKSUID(withMs));
+        assert.throws(() => fromKSUID(KSUID, 12, '', true), RangeError);
+    });
+
+    it('should reject out-of-range times and invalid KSUIDs', () => {
+        assert.throws(() => toKSUID(timeIDr.newID(1000000000000)), RangeError);
+        assert.throws(() => fromKSUID('0ujtsYcgvSTl8PAuAdqWYSMnLO'), TypeError);
+        assert.throws(() => fromKSUID('0ujtsYcgvSTl8PAuAdqWYSMnLO-'), TypeError);
+        assert.throws(() => fromKSUID('zzzzzzzzzzzzzzzzzzzzzzzzzzz'), TypeError);
+    });
+});
+
+describe('Binary Encoding', () => {
+
+    // Unsigned lexicographic comparison, as used by BYTEA/BLOB keys
+    const compareBytes = (a, b) => {
+        const n = Math.min(a.length, b.length);
+        for (let i = 0; i < n; i++) if (a[i] !== b[i]) return a[i] - b[i];
+        return a.length - b.length;
+    };
+
+    it('should pack the timestamp big-endian in the first 6 bytes', () => {
+        const now = 1731451200123;
+        const bytes = toBytes(timeIDr.newID(now));
+
+        assert.equal(bytes.length, 6 + 9);
+        assert.equal(Buffer.from(bytes.subarray(0, 6)).readUIntBE(0, 6), now);
+    });
+
+    it('should round-trip into a TimeIDRandom for many suffix lengths', () => {
+        for (const length of [12, 13, 14, 15, 16, 21, 33, 100, 1024]) {
+            const id = timeIDr.newID(new Date(), length, '-');
+            const bytes = toBytes(id, '-');
+            assert.equal(bytes.length, 6 + Math.ceil(length * 6 / 8));
+
+            const decoded = fromBytes(bytes, length, '-');
+            assert.ok(decoded instanceof timeIDr);
+            assert.equal(decoded.tIDr, id);
+        }
+    });
+
+    it('should infer the suffix length when it is unambiguous', () => {
+        for (const length of [12, 13, 14, 16, 21]) {
+            const id = timeIDr.newID(new Date(), length);
+            assert.equal(fromBytes(toBytes(id)).tIDr, id);
+        }
+    });
+
+    it('should preserve sort order in byte form', () => {
+        const ids = [];
+        for (let i = 0; i < 300; i++) ids.push(timeIDr.newID(1731451200000 + (i % 7) * 65537));
+        ids.sort();
+
+        const packed = ids.map((id) => toBytes(id));
+        const sorted = [...packed].sort(compareBytes);
+        assert.deepEqual(sorted.map((b) => fromBytes(b).tIDr), ids);
+    });
+
+    it('should accept Node Buffers', () => {
+        const id = timeIDr.newID();
+        assert.equal(fromBytes(Buffer.from(toBytes(id))).tIDr, id);
+    });
+
+    it('should reject invalid input', () => {
+        assert.throws(() => toBytes('bad$char0000'), TypeError);
+        assert.throws(() => fromBytes([1, 2, 3, 4, 5, 6]), TypeError);
+        assert.throws(() => fromBytes(new Uint8Array(5)), RangeError);
+        assert.throws(() => fromBytes(new Uint8Array(15), 13), RangeError);
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { timeID, timeIDr, TimeIDAlphabet, TimeIDGenerator } from '../src/timeID.js';
+import { createObfuscator } from '../src/obfuscate.js';
+
+const KEY = 'an-example-secret-key';
+
+describe('Obfuscated IDs', () => {
+
+    const ob = createObfuscator(KEY);
+
+    it('should round-trip IDs of any suffix length', () => {
+        for (const length of [12, 13, 21, 64]) {
+            for (let i = 0; i < 50; i++) {
+                const id = timeIDr.newID(Date.now(), length);
+                const opaque = ob.encode(id);
+
+                assert.equal(opaque.length, id.length);
+                assert.ok([...opaque].every((c) => c in timeID.CHAR_MAP));
+                assert.equal(ob.decode(opaque), id);
+            }
+        }
+    });
+
+    it('should recover the date with the key', () => {
+        const now = 1731451200123;
+        const decoded = ob.decodeID(ob.encode(timeIDr.newID(now)));
+        assert.equal(decoded.time, now);
+        assert.equal(decoded.date.getTime(), now);
+    });
+
+    it('should hide the time prefix and creation order', () => {
+        // Consecutive IDs share their prefix; the obfuscated ones should not
+        const ids = timeIDr.newIDs(200, { dateTime: 1731451200123, ascending: true });
+        const opaque = ids.map(ob.encode);
+
+        assert.ok(new Set(opaque.map((o) => o.substring(0, 4))).size > 150);
+        assert.notDeepEqual([...opaque].sort(), opaque);
+        assert.equal(new Set(opaque).size, 200);
+    });
+
+    it('should depend on the key and tweak', () => {
+        const id = timeIDr.newID();
+        const other = createObfuscator(KEY + '!').encode(id);
+        const tweaked = createObfuscator(KEY, { tweak: 'usr' }).encode(id);
+
+        assert.notEqual(other, ob.encode(id));
+        assert.notEqual(tweaked, ob.encode(id));
+        assert.notEqual(createObfuscator(KEY + '!').decode(ob.encode(id)), id);
+    });
+
+    it('should keep the delimiter in place', () => {
+        const dashed = createObfuscator(KEY, { delimiter: '-' });
+        const id = timeIDr.newID(Date.now(), 12, '-');
+        const opaque = dashed.encode(id);
+
+        assert.equal(opaque[8], '-');
+        assert.equal(dashed.decode(opaque), id);
+        assert.throws(() => dashed.encode(timeIDr.newID()), TypeError);
+    });
+
+    it('should follow a generator format and alphabet', () => {
+        const gen = new TimeIDGenerator({ alphabet: TimeIDAlphabet.BASE32, epoch: Date.UTC(2024, 0, 1), check: true });
+        const base32 = createObfuscator(KEY, { generator: gen });
+        const id = gen.newID();
+        const opaque = base32.encode(id);
+
+        assert.equal(opaque.substring(0, 2), '-l');
+        assert.match(opaque.substring(2), /^[0-9a-hjkmnp-tv-z]+$/);
+        assert.equal(base32.decode(opaque), id);
+        assert.equal(base32.decodeID(opaque).tIDr, id);
+    });
+
+    it('should reject weak keys and malformed input', () => {
+        assert.throws(() => createObfuscator('short'), RangeError);
+        assert.throws(() => createObfuscator(42), TypeError);
+        assert.throws(() => createObfuscator(KEY, { rounds: 4 }), RangeError);
+        assert.throws(() => ob.encode('08kL_1z2$bad'), TypeError);
+        assert.throws(() => ob.decode(null), TypeError);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { timeID, timeIDr } from '../src/timeID.js';
+import { createSigner } from '../src/sign.js';
+
+const KEY_A = 'an-example-secret-key';
+const KEY_B = 'another-example-secret-key';
+
+describe('Signed IDs', () => {
+
+    const signer = createSigner({ A: KEY_A });
+
+    it('should append the key id and a truncated HMAC', async () => {
+        const id = timeIDr.newID(1731451200123, 12, '-');
+        const signed = await signer.sign(id);
+
+        assert.equal(signer.length, 17);
+        assert.equal(signed.length, id.length + 17);
+        assert.equal(signed.substring(0, id.length), id);
+        assert.equal(signed[id.length], 'A');
+
+        const digest = createHmac('sha256', KEY_A).update('A' + id).digest();
+        const bits = [...digest].map((b) => b.toString(2).padStart(8, '0')).join('');
+        const expected = Array.from({ length: 16 }, (_, i) => timeID.CHAR_DICT[parseInt(bits.substring(i * 6, i * 6 + 6), 2)]).join('');
+        assert.equal(signed.substring(id.length + 1), expected);
+        assert.equal(timeIDr.decodeID(signed, '-').time, 1731451200123);
+    });
+
+    it('should make every MAC char depend on the key', async () => {
+        const id = timeIDr.newID();
+        const macs = await Promise.all(Array.from({ length: 20 }, (_, k) => createSigner({ A: KEY_A + k }, { length: 42 }).sign(id)));
+        for (let i = id.length + 1; i < id.length + 43; i++) {
+            assert.ok(new Set(macs.map((m) => m[i])).size > 1, `MAC char ${i - id.length - 1} is constant`);
+        }
+    });
+
+    it('should verify and open signed IDs', async () => {
+        const id = timeIDr.newID();
+        const signed = await signer.sign(id);
+
+        assert.equal(await signer.verify(signed), true);
+        assert.equal(await signer.open(signed), id);
+        assert.equal(await signer.verify(id), false);
+    });
+
+    it('should reject tampered and forged IDs', async () => {
+        const signed = await signer.sign(timeIDr.newID());
+        for (const i of [0, 8, signed.length - 17, signed.length - 1]) {
+            const c = signed[i] === 'B' ? 'C' : 'B';
+            const tampered = signed.substring(0, i) + c + signed.substring(i + 1);
+            assert.equal(await signer.verify(tampered), false, tampered);
+        }
+        assert.equal(await createSigner({ A: KEY_B }).verify(signed), false);
+        assert.equal(await signer.verify(signed.substring(0, 17)), false);
+        assert.equal(await signer.open(42), undefined);
+    });
+
+    it('should keep sort order', async () => {
+        const ids = [timeIDr.newID(1000), timeIDr.newID(2000), timeIDr.newID(3000)];
+        const signed = await Promise.all(ids.map(signer.sign));
+        assert.deepEqual([...signed].sort(), signed);
+    });
+
+    it('should verify with every key but sign with the current one', async () => {
+        const old = await signer.sign(timeIDr.newID());
+        const rotated = createSigner({ A: KEY_A, B: KEY_B }, { keyId: 'B', length: 10 });
+        const fresh = await rotated.sign(timeIDr.newID());
+
+        assert.equal(rotated.keyId, 'B');
+        assert.equal(fresh[fresh.length - 11], 'B');
+        assert.equal(await rotated.verify(fresh), true);
+        assert.equal(await createSigner({ A: KEY_A, B: KEY_B }, { keyId: 'B' }).verify(old), true);
+        assert.equal(await signer.verify(fresh), false);
+    });
+
+    it('should reject invalid configurations', async () => {
+        assert.throws(() => createSigner(null), TypeError);
+        assert.throws(() => createSigner({}), RangeError);
+        assert.throws(() => createSigner({ A: 'short' }), RangeError);
+        assert.throws(() => createSigner({ AB: KEY_A }), TypeError);
+        assert.throws(() => createSigner({ '$': KEY_A }), TypeError);
+        assert.throws(() => createSigner({ A: 42 }), TypeError);
+        assert.throws(() => createSigner({ A: KEY_A, B: KEY_B }), TypeError);
+        assert.throws(() => createSigner({ A: KEY_A }, { keyId: 'B' }), RangeError);
+        assert.throws(() => createSigner({ A: KEY_A }, { length: 4 }), RangeError);
+        await assert.rejects(signer.sign(42), TypeError);
+    });
+});
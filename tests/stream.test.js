@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { timeIDr, TimeIDGenerator } from '../src/timeID.js';
+import { toReadableStream, toNodeReadable } from '../src/stream.js';
+
+// A generator whose clock counts how many IDs have been produced.
+const countingGenerator = () => {
+    const gen = new TimeIDGenerator({ seed: 1, clock: () => { gen.produced++; return 1731451200000; } });
+    gen.produced = 0;
+    return gen;
+};
+
+describe('Async Iterator', () => {
+
+    it('should stop after count IDs', async () => {
+        const ids = [];
+        for await (const id of timeIDr.stream({ count: 25, length: 16, delimiter: '-' })) ids.push(id);
+
+        assert.equal(ids.length, 25);
+        assert.equal(new Set(ids).size, 25);
+        for (const id of ids) assert.ok(timeIDr.isValid(id, { length: 16, delimiter: '-' }));
+    });
+
+    it('should yield strictly ascending IDs when requested', async () => {
+        const ids = [];
+        for await (const id of timeIDr.stream({ count: 200, ascending: true })) ids.push(id);
+        for (let i = 1; i < ids.length; i++) assert.ok(ids[i - 1] < ids[i]);
+    });
+
+    it('should honor the rate limit', async () => {
+        const start = performance.now();
+        let n = 0;
+        for await (const id of timeIDr.stream({ count: 6, rate: 100 })) n += id ? 1 : 0;
+
+        assert.equal(n, 6);
+        assert.ok(performance.now() - start >= 45, '6 IDs at 100/s should take ~50ms');
+    });
+
+    it('should not burst after the consumer idles', async () => {
+        const stream = timeIDr.stream({ rate: 20 });
+        await stream.next();
+        await new Promise((resolve) => setTimeout(resolve, 300));
+
+        const times = [];
+        for (let i = 0; i < 4; i++) {
+            await stream.next();
+            times.push(performance.now());
+        }
+        await stream.return();
+        // Timers may fire up to 1 ms early relative to performance.now()
+        for (let i = 1; i < times.length; i++) assert.ok(times[i] - times[i - 1] >= 48, `gap ${i}: ${times[i] - times[i - 1]}ms`);
+    });
+
+    it('should end when the signal is aborted', async () => {
+        const controller = new AbortController();
+        let n = 0;
+        for await (const id of timeIDr.stream({ signal: controller.signal })) {
+            if (++n === 10) controller.abort();
+            assert.ok(id);
+        }
+        assert.equal(n, 10);
+    });
+
+    it('should only generate what the consumer pulls', async () => {
+        const gen = countingGenerator();
+        for await (const id of gen.stream()) {
+            if (id && gen.produced === 3) break;
+        }
+        assert.equal(gen.produced, 3);
+    });
+
+    it('should reject invalid options', async () => {
+        await assert.rejects(timeIDr.stream({ count: -1 }).next(), RangeError);
+        await assert.rejects(timeIDr.stream({ rate: -5 }).next(), RangeError);
+    });
+});
+
+describe('Web ReadableStream Adapter', () => {
+
+    it('should emit IDs and close after count', async () => {
+        const ids = [];
+        for await (const id of toReadableStream({ count: 10 })) ids.push(id);
+        assert.equal(ids.length, 10);
+    });
+
+    it('should apply back-pressure', async () => {
+        const gen = countingGenerator();
+        const reader = toReadableStream({ generator: gen, highWaterMark: 2 }).getReader();
+
+        await reader.read();
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        assert.ok(gen.produced <= 4, `Produced ${gen.produced} IDs for a single read`);
+        await reader.cancel();
+    });
+
+    it('should be reproducible with a seeded generator', async () => {
+        const read = async () => {
+            const ids = [];
+            for await (const id of toReadableStream({ count: 5, generator: new TimeIDGenerator({ seed: 9, clock: () => 1731451200000 }) })) ids.push(id);
+            return ids;
+        };
+        assert.deepEqual(await read(), await read());
+    });
+});
+
+describe('Node Readable Adapter', () => {
+
+    it('should emit IDs in object mode and end after count', async () => {
+        const ids = await toNodeReadable({ count: 10, length: 21 }).toArray();
+        assert.equal(ids.length, 10);
+        assert.ok(ids.every((id) => id.length === 29));
+    });
+
+    it('should stop generating when destroyed', async () => {
+        const gen = countingGenerator();
+        const readable = toNodeReadable({ generator: gen, highWaterMark: 1 });
+        for await (const id of readable) {
+            if (id && gen.produced >= 3) break;
+        }
+        const produced = gen.produced;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        assert.ok(readable.destroyed);
+        assert.equal(gen.produced, produced);
+    });
+});
@@ -105,6 +105,7 @@ results.push(runBench('encodeTime (Math Only)', () => timeID.encodeTime(17314512
 console.log(styleText('bold', '\n2. ID Generation'));
 results.push(runBench('TimeIDr.newID (String)', () => timeIDr.newID()));
 results.push(runBench('TimeIDr.newTimeIDr (Object)', () => timeIDr.newTimeIDr()));
+results.push(runBench('TimeIDr.newSecureID (CSPRNG)', () => timeIDr.newSecureID()));
 
 // 3. Decoding
 console.log(styleText('bold', '\n3. Decoding'));
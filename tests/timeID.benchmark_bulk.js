@@ -0,0 +1,90 @@
+import { timeIDr } from '../src/timeID.js';
+import { styleText } from 'node:util';
+import os from 'node:os';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// --- Configuration ---
+const BATCH_SIZE = 100_000;
+const ROUNDS = 20;
+const WARMUP_ROUNDS = 3;
+
+const fmt = (num) => new Intl.NumberFormat('en-US').format(Math.round(num));
+const fmtFloat = (num) => new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(num);
+
+/**
+ * Runs `fn` (which generates BATCH_SIZE IDs) for ROUNDS rounds and reports IDs/sec.
+ * Includes Dead Code Elimination (DCE) prevention.
+ */
+function runBench(label, fn) {
+    console.log(`Running: ${styleText('cyan', label)}...`);
+
+    for (let i = 0; i < WARMUP_ROUNDS; i++) fn();
+
+    let dummy = 0;
+    const start = performance.now();
+    for (let i = 0; i < ROUNDS; i++) {
+        const ids = fn();
+        dummy += ids[ids.length - 1].length;
+    }
+    const elapsed = performance.now() - start;
+
+    // Prevent dummy optimization
+    if (dummy === -1) process.stdout.write('');
+
+    const total = BATCH_SIZE * ROUNDS;
+    const idsPerSec = (total / elapsed) * 1000;
+    const nsPerId = (elapsed / total) * 1_000_000;
+
+    console.log(
+        `${styleText('green', '✔')} ${label.padEnd(40)} ` +
+        `${styleText('yellow', fmt(idsPerSec).padStart(12))} IDs/sec ` +
+        `${styleText('gray', `(${fmtFloat(nsPerId)} ns/ID)`)}`
+    );
+    return { name: label, idsSec: idsPerSec, nsId: nsPerId };
+}
+
+// --- Main Execution ---
+
+console.log(styleText('bold', `\n📦 TimeID Bulk Generation Benchmark (${fmt(BATCH_SIZE)} IDs/batch)\n` + '='.repeat(60)));
+
+const reused = new Array(BATCH_SIZE);
+const results = [
+    runBench('Loop: timeIDr.newID()', () => {
+        const ids = new Array(BATCH_SIZE);
+        for (let i = 0; i < BATCH_SIZE; i++) ids[i] = timeIDr.newID();
+        return ids;
+    }),
+    runBench('Bulk: timeIDr.newIDs(n)', () => timeIDr.newIDs(BATCH_SIZE)),
+    runBench('Bulk: timeIDr.newIDs(n, { into })', () => timeIDr.newIDs(BATCH_SIZE, { into: reused })),
+    runBench('Bulk: timeIDr.newIDs(n, { ascending })', () => timeIDr.newIDs(BATCH_SIZE, { ascending: true }))
+];
+
+const baseline = results[0].idsSec;
+const cpus = os.cpus();
+const timestampISO = new Date().toISOString();
+
+const markdown = `
+# TimeID Bulk Generation Benchmark
+
+**Date:** ${timestampISO}
+**CPU:** ${cpus.length > 0 ? cpus[0].model.trim() : 'Unknown CPU'} | **Node.js:** ${process.version}
+
+| Benchmark Test | IDs / Sec | Latency (ns/ID) | Vs Loop |
+| :--- | :--- | :--- | :--- |
+${results.map(r => `| ${r.name} | **${fmt(r.idsSec)}** | ${fmtFloat(r.nsId)} | ${(r.idsSec / baseline).toFixed(2)}x |`).join('\n')}
+
+---
+*Generated automatically by timeID.benchmark_bulk.js*
+`;
+
+console.log('\n' + '='.repeat(60));
+console.log(styleText('bold', '📝 Generated Markdown Report:'));
+console.log(markdown);
+
+const args = process.argv.slice(2);
+if (args.includes('--save') || args.includes('-s')) {
+    const absPath = path.resolve(process.cwd(), `timeID-benchmark-bulk_${timestampISO}.md`);
+    fs.writeFileSync(absPath, markdown.trim());
+    console.log(styleText('green', `\n✅ Report saved to: ${absPath}`));
+}
@@ -1,6 +1,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { timeID, timeIDr } from '../src/timeID.js';
+import { Worker } from 'node:worker_threads';
+import { timeID, timeIDr, TimeIDAlphabet, TimeIDGenerator, TimeIDParseError, TimeIDPrecise } from '../src/timeID.js';
 
 // Helper to sleep for ms (to guarantee distinct timestamps)
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -156,6 +157,1084 @@ describe('TimeIDRandom (Timestamp + Randomness)', () => {
     });
 });
 
+describe('TimeIDRandom Secure Mode (CSPRNG)', () => {
+
+    it('should generate secure randomness for fast and slow path lengths', () => {
+        for (const length of [12, 21, 16, 33]) {
+            const rnd = timeIDr.newSecureRandomness(length);
+            assert.equal(rnd.length, length);
+            for (const char of rnd) assert.ok(char in timeID.CHAR_MAP, `'${char}' should be in CHAR_DICT`);
+        }
+    });
+
+    it('should generate decodable secure IDs', () => {
+        const now = new Date();
+        const id = timeIDr.newSecureID(now, 12, '-');
+        const decoded = timeIDr.decodeID(id, '-');
+
+        assert.equal(id.length, 21);
+        assert.equal(decoded.time, now.getTime());
+        assert.equal(decoded.randomness.length, 12);
+    });
+
+    it('should return a TimeIDRandom object from newSecureTimeIDr', () => {
+        const obj = timeIDr.newSecureTimeIDr(1731451200000, 21);
+        assert.ok(obj instanceof timeIDr);
+        assert.equal(obj.randomness.length, 21);
+    });
+
+    it('should stay unique across buffer refills', () => {
+        const set = new Set();
+        const ITERATIONS = 10_000;
+
+        for (let i = 0; i < ITERATIONS; i++) {
+            set.add(timeIDr.newSecureID());
+        }
+
+        assert.equal(set.size, ITERATIONS);
+    });
+});
+
+describe('TimeIDRandom Monotonic Mode', () => {
+
+    it('should sort strictly ascending within the same millisecond', () => {
+        const fixed = 1731451200000;
+        const ids = [];
+        for (let i = 0; i < 1000; i++) ids.push(timeIDr.newMonotonicID(fixed));
+
+        for (let i = 1; i < ids.length; i++) {
+            assert.ok(ids[i - 1] < ids[i], `${ids[i - 1]} should sort before ${ids[i]}`);
+        }
+        assert.equal(new Set(ids).size, ids.length);
+    });
+
+    it('should increment the suffix by one within the same millisecond', () => {
+        const fixed = 1731451200001;
+        const a = timeIDr.decodeID(timeIDr.newMonotonicID(fixed)).randomness;
+        const b = timeIDr.decodeID(timeIDr.newMonotonicID(fixed)).randomness;
+
+        const last = (s) => timeID.CHAR_MAP[s[s.length - 1]];
+        if (a[a.length - 1] !== '~') {
+            assert.equal(b.substring(0, 11), a.substring(0, 11));
+            assert.equal(last(b), last(a) + 1);
+        }
+    });
+
+    it('should stay monotonic for the 21 fast path and slow path lengths', () => {
+        for (const length of [21, 16, 33]) {
+            const fixed = 1731451200002 + length;
+            let prev = timeIDr.newMonotonicID(fixed, length, '-');
+            for (let i = 0; i < 200; i++) {
+                const next = timeIDr.newMonotonicID(fixed, length, '-');
+                assert.equal(next.length, 8 + 1 + length);
+                assert.ok(prev < next, `length ${length}: ${prev} should sort before ${next}`);
+                prev = next;
+            }
+        }
+    });
+
+    it('should return a TimeIDRandom object from newMonotonicTimeIDr', () => {
+        const date = new Date(1731451200100);
+        const a = timeIDr.newMonotonicTimeIDr(date);
+        const b = timeIDr.newMonotonicTimeIDr(date);
+
+        assert.ok(a instanceof timeIDr);
+        assert.equal(a.time, date.getTime());
+        assert.ok(a.tIDr < b.tIDr);
+    });
+
+    it('should throw RangeError when the suffix overflows within a millisecond', () => {
+        const gen = new TimeIDGenerator({ seed: 1 });
+        const fixed = 1731451200200;
+        gen.restore({ ...gen.snapshot(), monoTime: fixed, monoRnd: '~'.repeat(12) });
+
+        assert.throws(() => gen.newMonotonicID(fixed), RangeError);
+        assert.equal(gen.newMonotonicID(fixed + 1).length, 20, 'A new millisecond should recover');
+    });
+
+    it('should carry the increment across trailing max characters', () => {
+        const gen = new TimeIDGenerator({ seed: 1 });
+        const fixed = 1731451200300;
+        gen.restore({ ...gen.snapshot(), monoTime: fixed, monoRnd: 'AAAAAAAAAA~~' });
+
+        const id = gen.newMonotonicID(fixed);
+        assert.equal(id.substring(8), 'AAAAAAAAAB00');
+    });
+
+    it('should throw TypeError for invalid inputs', () => {
+        assert.throws(() => timeIDr.newMonotonicID(-1), TypeError);
+        assert.throws(() => timeIDr.newMonotonicID('nope'), TypeError);
+    });
+});
+
+describe('TimeIDGenerator (Isolated Instances)', () => {
+
+    it('should reproduce the same sequence from the same seed', () => {
+        const a = new TimeIDGenerator({ seed: 42 });
+        const b = new TimeIDGenerator({ seed: 42 });
+        const fixed = 1731451200000;
+
+        for (let i = 0; i < 100; i++) {
+            assert.equal(a.newID(fixed, 21), b.newID(fixed, 21));
+        }
+    });
+
+    it('should accept an array seed and diverge from other seeds', () => {
+        const a = new TimeIDGenerator({ seed: [1, 2, 3] });
+        const b = new TimeIDGenerator({ seed: [1, 2, 4] });
+        assert.notEqual(a.newRandomness(), b.newRandomness());
+    });
+
+    it('should not share a stream with the default instance', () => {
+        const a = new TimeIDGenerator({ seed: 7 });
+        const expected = new TimeIDGenerator({ seed: 7 }).newRandomness(16);
+
+        timeIDr.newID();
+        assert.equal(a.newRandomness(16), expected);
+    });
+
+    it('should use the injected clock for default timestamps', () => {
+        const gen = new TimeIDGenerator({ seed: 1, clock: () => 1000000000000 });
+        const decoded = gen.decodeID(gen.newID());
+
+        assert.ok(decoded instanceof timeIDr);
+        assert.equal(decoded.time, 1000000000000);
+        assert.equal(gen.newTimeIDr().time, 1000000000000);
+    });
+
+    it('should replay IDs after snapshot and restore', () => {
+        const gen = new TimeIDGenerator({ seed: 99, clock: () => 1731451200000 });
+        gen.newMonotonicID();
+        const snap = JSON.parse(JSON.stringify(gen.snapshot()));
+
+        const first = [gen.newID(), gen.newMonotonicID(), gen.newRandomness(33)];
+        gen.restore(snap);
+        const second = [gen.newID(), gen.newMonotonicID(), gen.newRandomness(33)];
+
+        assert.deepEqual(second, first);
+    });
+
+    it('should draw from the CSPRNG when secure', () => {
+        const a = new TimeIDGenerator({ seed: 5, secure: true });
+        const b = new TimeIDGenerator({ seed: 5, secure: true });
+        assert.notEqual(a.newRandomness(), b.newRandomness());
+    });
+
+    it('should reject invalid options', () => {
+        assert.throws(() => new TimeIDGenerator({ seed: 'abc' }), TypeError);
+        assert.throws(() => new TimeIDGenerator({ clock: 123 }), TypeError);
+        assert.throws(() => new TimeIDGenerator().restore({}), TypeError);
+    });
+});
+
+describe('TimeIDGenerator Custom Epoch & Resolution', () => {
+
+    const EPOCH_2024 = Date.UTC(2024, 0, 1);
+    const T = Date.UTC(2025, 5, 15, 12, 30, 45, 678);
+
+    it('should keep the default format byte-identical', () => {
+        const gen = new TimeIDGenerator({ seed: 1 });
+        assert.equal(gen.prefixLength, 8);
+        assert.equal(gen.encodeTime(T), timeID.encodeTime(T));
+        assert.equal(gen.decodeTime(gen.newID(T)), T);
+    });
+
+    it('should encode seconds since a custom epoch in a tagged 6-char prefix', () => {
+        const gen = new TimeIDGenerator({ seed: 1, epoch: new Date(EPOCH_2024), resolution: 's' });
+        const prefix = gen.encodeTime(T);
+
+        assert.equal(prefix.length, 8);
+        assert.equal(prefix.substring(0, 2), '-S');
+        assert.equal(gen.decodeTime(prefix), Math.floor(T / 1000) * 1000);
+
+        const id = gen.newID(T);
+        assert.equal(id.length, 8 + 12);
+        const decoded = gen.decodeID(id);
+        assert.equal(decoded.time, Math.floor(T / 1000) * 1000);
+        assert.equal(decoded.randomness, id.substring(8));
+    });
+
+    it('should honor an explicit width and minute resolution', () => {
+        const gen = new TimeIDGenerator({ epoch: EPOCH_2024, resolution: 'min', timeWidth: 4 });
+        const prefix = gen.encodeTime(T);
+
+        assert.equal(prefix, '-M' + prefix.substring(2));
+        assert.equal(prefix.length, 6);
+        assert.equal(gen.decodeTime(prefix), Math.floor((T - EPOCH_2024) / 60000) * 60000 + EPOCH_2024);
+    });
+
+    it('should reject prefixes from a different resolution or format', () => {
+        const seconds = new TimeIDGenerator({ epoch: EPOCH_2024, resolution: 's' });
+        const minutes = new TimeIDGenerator({ epoch: EPOCH_2024, resolution: 'min' });
+        const id = seconds.newID(T);
+
+        assert.equal(minutes.decodeTime(id), null);
+        assert.equal(minutes.decodeID(id), undefined);
+        assert.equal(seconds.decodeID(timeIDr.newID(T)), undefined);
+        assert.equal(seconds.decodeID(seconds.newID(T, 12, '-'), '.'), undefined);
+    });
+
+    it('should keep tagged prefixes out of the static and default decoders', () => {
+        for (const gen of [
+            new TimeIDGenerator({ epoch: EPOCH_2024, resolution: 's' }),
+            new TimeIDGenerator({ epoch: EPOCH_2024 }),
+            new TimeIDGenerator({ resolution: 'h', alphabet: TimeIDAlphabet.BASE32 })
+        ]) {
+            const id = gen.newID(T);
+            assert.equal(timeID.decodeTime(id), null, id);
+            assert.equal(timeIDr.decodeID(id), undefined, id);
+            assert.equal(timeIDr.isValid(id), false, id);
+            assert.throws(() => timeIDr.parse(id), (e) => e.code === TimeIDParseError.INVALID_CHARACTER && e.offset === 0);
+            assert.equal(new TimeIDGenerator().decodeID(id), undefined, id);
+            assert.equal(gen.decodeID(id).time, gen.decodeTime(id));
+        }
+    });
+
+    it('should sort chronologically and stay monotonic within a unit', () => {
+        const gen = new TimeIDGenerator({ epoch: EPOCH_2024, resolution: 's' });
+        const same = [gen.newMonotonicID(T), gen.newMonotonicID(T + 1), gen.newMonotonicID(T + 2)];
+        assert.deepEqual([...same].sort(), same);
+        assert.equal(new Set(same.map((id) => id.substring(0, 7))).size, 1);
+
+        const later = gen.newIDs(3, { dateTime: T + 1000, ascending: true });
+        assert.ok(same[2] < later[0]);
+    });
+
+    it('should reject times outside the prefix range', () => {
+        const gen = new TimeIDGenerator({ epoch: EPOCH_2024, resolution: 's', timeWidth: 2 });
+        assert.throws(() => gen.newID(EPOCH_2024 - 1000), RangeError);
+        assert.throws(() => gen.newID(EPOCH_2024 + 64 * 64 * 1000), RangeError);
+        assert.ok(gen.newID(EPOCH_2024 + 64 * 64 * 1000 - 1));
+    });
+
+    it('should reject invalid configuration', () => {
+        assert.throws(() => new TimeIDGenerator({ resolution: 'day' }), TypeError);
+        assert.throws(() => new TimeIDGenerator({ resolution: 's', timeWidth: 9 }), RangeError);
+        assert.throws(() => new TimeIDGenerator({ epoch: 1.5 }), TypeError);
+        assert.throws(() => new TimeIDGenerator({ resolution: 's' }).newPreciseID(), RangeError);
+    });
+});
+
+describe('TimeIDGenerator Node Segment', () => {
+
+    const T = 1731451200123;
+
+    it('should place a fixed-width node segment between the prefix and the suffix', () => {
+        const gen = new TimeIDGenerator({ seed: 1, node: 65 });
+        assert.equal(gen.node, '11');
+
+        const id = gen.newID(T, 12, '-');
+        assert.equal(id.length, 8 + 1 + 2 + 12);
+        assert.equal(id.substring(8, 11), '-11');
+
+        const decoded = gen.decodeID(id, '-');
+        assert.equal(decoded.time, T);
+        assert.equal(decoded.node, '11');
+        assert.equal(decoded.randomness.length, 12);
+        assert.equal(decoded.tIDr, id);
+    });
+
+    it('should include the node in every generation path', () => {
+        const gen = new TimeIDGenerator({ node: 'eu', clock: () => T });
+        const ids = [
+            gen.newID(),
+            gen.newTimeIDr().tIDr,
+            gen.newMonotonicID(),
+            gen.newMonotonicTimeIDr().tIDr,
+            ...gen.newIDs(3)
+        ];
+        for (const id of ids) assert.equal(gen.decodeID(id).node, 'eu', id);
+        assert.equal(gen.newTimeIDr().node, 'eu');
+        // precise IDs carry the node after the 10-char prefix
+        assert.equal(gen.newPreciseID(BigInt(T) * 1000000n).substring(10, 12), 'eu');
+    });
+
+    it('should keep IDs from different nodes distinct even with identical randomness', () => {
+        const a = new TimeIDGenerator({ seed: 7, node: 1, clock: () => T });
+        const b = new TimeIDGenerator({ seed: 7, node: 2, clock: () => T });
+        const idA = a.newID();
+        const idB = b.newID();
+
+        assert.notEqual(idA, idB);
+        assert.equal(idA.substring(10), idB.substring(10));
+        assert.equal(a.decodeID(idB).node, b.node);
+    });
+
+    it('should validate the node segment on decode', () => {
+        const gen = new TimeIDGenerator({ node: 3, nodeWidth: 3 });
+        const id = gen.newID(T);
+
+        assert.equal(gen.decodeID(id).node, '003');
+        assert.equal(gen.decodeID(id.substring(0, 10)), undefined);
+        assert.equal(gen.decodeID(id.substring(0, 9) + '$' + id.substring(10)), undefined);
+        assert.equal(timeIDr.decodeID(id).node, '');
+        assert.equal(timeIDr.decodeID(id).randomness, id.substring(8));
+    });
+
+    it('should reject invalid node configuration', () => {
+        assert.throws(() => new TimeIDGenerator({ node: 4096 }), RangeError);
+        assert.throws(() => new TimeIDGenerator({ node: -1 }), RangeError);
+        assert.throws(() => new TimeIDGenerator({ node: 1.5 }), RangeError);
+        assert.throws(() => new TimeIDGenerator({ node: 1, nodeWidth: 9 }), RangeError);
+        assert.throws(() => new TimeIDGenerator({ node: 'a-b' }), TypeError);
+        assert.throws(() => new TimeIDGenerator({ node: '' }), TypeError);
+        assert.throws(() => new TimeIDGenerator({ node: 'abc', nodeWidth: 2 }), RangeError);
+    });
+});
+
+describe('Clock Regression', () => {
+
+    // Replays a fixed sequence of clock readings, repeating the last one
+    const clockOf = (...times) => {
+        let i = 0;
+        return () => times[Math.min(i++, times.length - 1)];
+    };
+
+    it('should follow the clock by default but still report the regression', () => {
+        const events = [];
+        const gen = new TimeIDGenerator({ clock: clockOf(5000, 3000), onClockRegression: (e) => events.push(e) });
+        const a = gen.newID();
+        const b = gen.newID();
+
+        assert.ok(b < a);
+        assert.deepEqual(events, [{ previous: 5000, current: 3000, skew: 2000, policy: 'none' }]);
+    });
+
+    it('should clamp to the last time and keep IDs ascending', () => {
+        const events = [];
+        const gen = new TimeIDGenerator({ clock: clockOf(5000, 5000, 4000, 4500, 5000, 6000), clockPolicy: 'clamp', onClockRegression: (e) => events.push(e) });
+        const ids = [];
+        for (let i = 0; i < 6; i++) ids.push(gen.newID());
+
+        assert.deepEqual([...ids].sort(), ids);
+        assert.equal(new Set(ids).size, 6);
+        assert.deepEqual(ids.map((id) => gen.decodeID(id).time), [5000, 5000, 5000, 5000, 5000, 6000]);
+        assert.deepEqual(events.map((e) => e.skew), [1000, 500]);
+    });
+
+    it('should clamp bulk, stream and object generation too', async () => {
+        const gen = new TimeIDGenerator({ clock: clockOf(9000, 8000), clockPolicy: 'clamp' });
+        const bulk = gen.newIDs(50);
+        assert.deepEqual([...bulk].sort(), bulk);
+        assert.ok(gen.newTimeIDr().tIDr > bulk[49]);
+
+        const streamed = [];
+        for await (const id of gen.stream({ count: 5 })) streamed.push(id);
+        assert.deepEqual([...streamed].sort(), streamed);
+        assert.ok(streamed[0] > bulk[49]);
+    });
+
+    it('should not guard explicit times', () => {
+        const gen = new TimeIDGenerator({ clock: clockOf(5000), clockPolicy: 'throw' });
+        gen.newID();
+        assert.equal(gen.decodeID(gen.newID(1000)).time, 1000);
+    });
+
+    it('should wait until the clock catches up', () => {
+        const gen = new TimeIDGenerator({ clock: clockOf(5000, 4000, 4500, 4999, 5001), clockPolicy: 'wait' });
+        gen.newID();
+        assert.equal(gen.decodeID(gen.newID()).time, 5001);
+    });
+
+    it('should throw when waiting takes too long', () => {
+        const gen = new TimeIDGenerator({ clock: clockOf(5000, 4000), clockPolicy: 'wait', maxClockWait: 10 });
+        gen.newID();
+        assert.throws(() => gen.newID(), RangeError);
+    });
+
+    it('should block instead of spinning while it waits', () => {
+        let reads = 0;
+        const gen = new TimeIDGenerator({ clock: () => (reads++ === 0 ? 5000 : 4000), clockPolicy: 'wait', maxClockWait: 50 });
+        gen.newID();
+        const start = performance.now();
+        assert.throws(() => gen.newID(), /after waiting 50 ms/);
+
+        // Roughly one clock read per 10 ms step, not a hot loop
+        assert.ok(performance.now() - start >= 45);
+        assert.ok(reads <= 8, `${reads} clock reads`);
+    });
+
+    it('should throw immediately under the throw policy', () => {
+        const gen = new TimeIDGenerator({ clock: clockOf(5000, 4999, 5000), clockPolicy: 'throw' });
+        gen.newID();
+        assert.throws(() => gen.newID(), /backwards by 1 ms/);
+        assert.ok(gen.newID());
+    });
+
+    it('should reject invalid policy options', () => {
+        assert.throws(() => new TimeIDGenerator({ clockPolicy: 'skip' }), TypeError);
+        assert.throws(() => new TimeIDGenerator({ maxClockWait: -1 }), RangeError);
+        assert.throws(() => new TimeIDGenerator({ onClockRegression: 'log' }), TypeError);
+    });
+});
+
+describe('Shared State Across Threads', () => {
+
+    const WORKER_SOURCE = `
+        const { parentPort, workerData } = require('node:worker_threads');
+        import(workerData.url).then(({ TimeIDGenerator }) => {
+            const gen = new TimeIDGenerator({ shared: workerData.shared });
+            const ids = [];
+            for (let i = 0; i < workerData.count; i++) ids.push(gen.newID());
+            parentPort.postMessage(ids);
+        });
+    `;
+
+    const runWorker = (shared, count) => new Promise((resolve, reject) => {
+        const worker = new Worker(WORKER_SOURCE, { eval: true, workerData: { url: new URL('../src/timeID.js', import.meta.url).href, shared, count } });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+    });
+
+    it('should issue unique, globally ordered IDs across worker threads', async () => {
+        const shared = TimeIDGenerator.createSharedState();
+        const batches = await Promise.all([1, 2, 3, 4].map(() => runWorker(shared, 5000)));
+        const all = batches.flat();
+
+        assert.equal(new Set(all).size, 20000);
+        for (const ids of batches) assert.deepEqual([...ids].sort(), ids);
+
+        // Every claimed (time, counter) slot is distinct and the counters within each ms are contiguous,
+        // i.e. the threads drew from one global sequence
+        const counters = new Map();
+        for (const id of all) {
+            const list = counters.get(id.substring(0, 8)) ?? [];
+            list.push(id.substring(8, 12));
+            counters.set(id.substring(0, 8), list);
+        }
+        for (const list of counters.values()) {
+            const values = list.map((c) => [...c].reduce((v, ch) => v * 64 + timeID.CHAR_MAP[ch], 0)).sort((x, y) => x - y);
+            assert.deepEqual(values, values.map((_, i) => i));
+        }
+        // Independent random streams: no two threads start with the same random tail
+        assert.equal(new Set(batches.map((ids) => ids[0].substring(12))).size, 4);
+    });
+
+    it('should order IDs from generators sharing state in one thread', () => {
+        const shared = TimeIDGenerator.createSharedState();
+        const a = new TimeIDGenerator({ shared, clock: () => 5000 });
+        const b = new TimeIDGenerator({ shared, clock: () => 4000 });
+        const ids = [a.newID(), b.newID(), a.newMonotonicID(), b.newTimeIDr().tIDr, ...a.newIDs(3)];
+
+        assert.deepEqual([...ids].sort(), ids);
+        assert.ok(ids.every((id) => timeIDr.decodeID(id).time === 5000));
+        assert.deepEqual(ids.map((id) => id.substring(8, 12)), ['0000', '0001', '0002', '0003', '0004', '0005', '0006']);
+        assert.equal(a.newID(6000).length, 20);
+    });
+
+    it('should park a thread waiting on a held lock instead of spinning', async () => {
+        const shared = TimeIDGenerator.createSharedState();
+        const view = new Int32Array(shared);
+        Atomics.store(view, 0, 1); // hold the lock from this thread
+
+        const source = `
+            const { parentPort, workerData } = require('node:worker_threads');
+            import(workerData.url).then(({ TimeIDGenerator }) => {
+                const gen = new TimeIDGenerator({ shared: workerData.shared });
+                parentPort.postMessage('ready');
+                parentPort.postMessage(gen.newID());
+            });
+        `;
+        const worker = new Worker(source, { eval: true, workerData: { url: new URL('../src/timeID.js', import.meta.url).href, shared } });
+        const messages = [];
+        const done = new Promise((resolve, reject) => {
+            worker.on('message', (m) => { messages.push(m); if (messages.length === 2) resolve(m); });
+            worker.once('error', reject);
+        });
+        await new Promise((resolve) => worker.once('message', resolve));
+
+        const before = process.cpuUsage();
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        const used = process.cpuUsage(before);
+        Atomics.store(view, 0, 0);
+        Atomics.notify(view, 0);
+
+        assert.ok(timeIDr.isValid(await done));
+        assert.ok((used.user + used.system) / 1000 < 100, `spent ${(used.user + used.system) / 1000}ms of CPU waiting`);
+        assert.equal(Atomics.load(view, 0), 0);
+    });
+
+    it('should reject foreign shared state', () => {
+        assert.throws(() => new TimeIDGenerator({ shared: new ArrayBuffer(20) }), TypeError);
+        assert.throws(() => new TimeIDGenerator({ shared: new SharedArrayBuffer(4) }), TypeError);
+    });
+});
+
+describe('Alphabets', () => {
+
+    const T = 1731451200123;
+    const BASE32 = TimeIDAlphabet.BASE32;
+
+    it('should keep the default alphabet byte-identical', () => {
+        assert.equal(TimeIDAlphabet.BASE64.chars, timeID.CHAR_DICT);
+        const a = new TimeIDGenerator({ seed: 9 });
+        const b = new TimeIDGenerator({ seed: 9, alphabet: TimeIDAlphabet.BASE64 });
+        assert.deepEqual(b.newIDs(20, { dateTime: T }), a.newIDs(20, { dateTime: T }));
+        assert.equal(b.encodeTime(T), timeID.encodeTime(T));
+    });
+
+    it('should generate lowercase base-32 IDs with a tagged 10-char prefix', () => {
+        const gen = new TimeIDGenerator({ alphabet: BASE32 });
+        const id = gen.newID(T);
+
+        assert.equal(gen.prefixLength, 2 + 10);
+        assert.equal(id.length, 2 + 10 + 12);
+        assert.match(id, /^-l[0-9a-hjkmnp-tv-z]+$/);
+        assert.equal(gen.decodeTime(id), T);
+        assert.equal(gen.decodeID(id).randomness, id.substring(12));
+    });
+
+    it('should not decode IDs across alphabets', () => {
+        const base32 = new TimeIDGenerator({ alphabet: BASE32 });
+        const base64 = new TimeIDGenerator();
+        const hex = new TimeIDGenerator({ alphabet: new TimeIDAlphabet('0123456789abcdef') });
+
+        for (const id of [base32.newID(T), hex.newID(T), base32.newID(T, 12, '-')]) {
+            assert.equal(timeIDr.isValid(id), false, id);
+            assert.equal(timeIDr.decodeID(id), undefined, id);
+            assert.throws(() => timeIDr.parse(id), (e) => e.code === TimeIDParseError.INVALID_CHARACTER && e.offset === 0);
+            assert.equal(base64.decodeID(id), undefined, id);
+        }
+
+        const id = timeIDr.newID(T);
+        assert.equal(base32.decodeID(id), undefined);
+        assert.equal(base32.decodeTime(id), null);
+        assert.equal(hex.decodeID(id), undefined);
+        // Same tag and prefix, but a suffix outside the alphabet
+        const foreign = base32.encodeTime(T) + 'Uu_~ABCDEFGH';
+        assert.equal(base32.decodeID(foreign), undefined);
+        assert.equal(hex.decodeID(hex.encodeTime(T) + 'ghijklmnopqr'), undefined);
+    });
+
+    it('should sort base-32 IDs identically with and without case folding', () => {
+        const gen = new TimeIDGenerator({ alphabet: BASE32 });
+        const ids = [];
+        for (let i = 0; i < 200; i++) ids.push(gen.newID(T + i * 997));
+        const sorted = [...ids].sort();
+        assert.deepEqual(sorted, ids);
+        assert.deepEqual([...ids].sort((x, y) => x.toUpperCase() < y.toUpperCase() ? -1 : 1), sorted);
+        const ascending = gen.newIDs(50, { dateTime: T, ascending: true });
+        assert.deepEqual([...ascending].sort(), ascending);
+    });
+
+    it('should decode base-32 case-insensitively with Crockford aliases', () => {
+        const gen = new TimeIDGenerator({ alphabet: BASE32 });
+        const id = gen.newID(T, 12, '-');
+        const typed = id.toUpperCase().replace(/1/g, 'L').replace(/0/g, 'O');
+        const decoded = gen.decodeID(typed, '-');
+
+        assert.equal(decoded.time, T);
+        assert.equal(decoded.tIDr, id);
+        assert.equal(gen.decodeID(id.substring(0, 2) + 'u' + id.substring(3), '-'), undefined);
+        assert.equal(gen.decodeID(id.substring(0, id.length - 1) + 'u', '-'), undefined);
+    });
+
+    it('should build tables for custom alphabets', () => {
+        const hex = new TimeIDAlphabet('0123456789abcdef');
+        assert.equal(hex.timeWidth, 12);
+        assert.equal(hex.doubleDict.length, 256);
+
+        const gen = new TimeIDGenerator({ alphabet: hex, seed: 4 });
+        const id = gen.newID(T, 16);
+        assert.match(id, /^-L[0-9a-f]{28}$/);
+        assert.equal(id.substring(2, 14), T.toString(16).padStart(12, '0'));
+        assert.equal(gen.decodeID(id).time, T);
+    });
+
+    it('should apply the alphabet to tags, nodes and check chars', () => {
+        const gen = new TimeIDGenerator({ alphabet: BASE32, resolution: 's', node: 33, check: true });
+        const id = gen.newID(T);
+
+        assert.equal(id.substring(0, 2), '-s');
+        assert.equal(gen.prefixLength, 2 + 8);
+        assert.equal(id.substring(10, 12), '11');
+        assert.match(id, /^-s[0-9a-hjkmnp-tv-z]+$/);
+
+        const decoded = gen.decodeID(id.toUpperCase());
+        assert.equal(decoded.node, '11');
+        assert.equal(decoded.tIDr, id);
+
+        const typo = id.substring(0, 13) + (id[13] === 'a' ? 'b' : 'a') + id.substring(14);
+        assert.throws(() => gen.decodeID(typo), (e) => e.code === TimeIDParseError.CHECKSUM_MISMATCH);
+        assert.throws(() => gen.newPreciseID(), RangeError);
+    });
+
+    it('should reject alphabets that cannot sort', () => {
+        assert.throws(() => new TimeIDAlphabet('0123456789'), RangeError);
+        assert.throws(() => new TimeIDAlphabet('fedcba9876543210'), TypeError);
+        assert.throws(() => new TimeIDAlphabet('0123456789abcdee'), TypeError);
+        assert.throws(() => new TimeIDAlphabet(' 123456789abcdef'), TypeError);
+        assert.throws(() => new TimeIDAlphabet('0123456789abcdef', { aliases: { g: 'z' } }), TypeError);
+        assert.throws(() => new TimeIDGenerator({ alphabet: 'base32' }), TypeError);
+        assert.throws(() => new TimeIDGenerator({ alphabet: BASE32, timeWidth: 11 }), RangeError);
+    });
+});
+
+describe('TimeIDRandom Strict Parsing', () => {
+
+    const parseError = (code, offset) => (err) => {
+        assert.ok(err instanceof TimeIDParseError);
+        assert.equal(err.code, code);
+        if (offset !== undefined) assert.equal(err.offset, offset);
+        return true;
+    };
+
+    it('should parse a valid ID into a TimeIDRandom', () => {
+        const now = 1731451200123;
+        const id = timeIDr.newID(now, 16, '-');
+        const parsed = timeIDr.parse(id, { length: 16, delimiter: '-' });
+
+        assert.ok(parsed instanceof timeIDr);
+        assert.equal(parsed.time, now);
+        assert.equal(parsed.randomness.length, 16);
+        assert.equal(parsed.tIDr, id);
+        assert.ok(timeIDr.isValid(id, { delimiter: '-' }));
+    });
+
+    it('should report non-strings and short input', () => {
+        assert.throws(() => timeIDr.parse(42), parseError(TimeIDParseError.INVALID_TYPE));
+        assert.throws(() => timeIDr.parse('08kL_1z2'), parseError(TimeIDParseError.TOO_SHORT, 8));
+    });
+
+    it('should report the offset of invalid characters in both parts', () => {
+        const id = timeIDr.newID(1731451200123);
+        assert.throws(() => timeIDr.parse('0$' + id.substring(2)), parseError(TimeIDParseError.INVALID_CHARACTER, 1));
+        assert.throws(() => timeIDr.parse(id.substring(0, 15) + '!' + id.substring(16)), parseError(TimeIDParseError.INVALID_CHARACTER, 15));
+        assert.throws(() => timeIDr.parse(id.substring(0, 19) + 'é'), parseError(TimeIDParseError.INVALID_CHARACTER, 19));
+    });
+
+    it('should report delimiter and length mismatches', () => {
+        const id = timeIDr.newID(new Date(), 12, '-');
+        assert.throws(() => timeIDr.parse(id, { delimiter: '.' }), parseError(TimeIDParseError.DELIMITER_MISMATCH, 8));
+        assert.throws(() => timeIDr.parse(id, { delimiter: '-', length: 21 }), parseError(TimeIDParseError.LENGTH_MISMATCH, 9));
+        assert.throws(() => timeIDr.parse(id), parseError(TimeIDParseError.INVALID_CHARACTER, 8), 'Undeclared delimiter is an invalid character');
+    });
+
+    it('should enforce the time window', () => {
+        const id = timeIDr.newID(1731451200123);
+        assert.ok(timeIDr.isValid(id, { minTime: 1731451200123, maxTime: new Date(1731451200123) }));
+        assert.throws(() => timeIDr.parse(id, { minTime: new Date(1731451200124) }), parseError(TimeIDParseError.TIME_OUT_OF_RANGE, 0));
+        assert.equal(timeIDr.isValid(id, { maxTime: 1731451200122 }), false);
+    });
+
+    it('should be a proper Error subclass', () => {
+        try {
+            timeIDr.parse('short');
+            assert.fail('Expected parse to throw');
+        } catch (err) {
+            assert.ok(err instanceof Error);
+            assert.equal(err.name, 'TimeIDParseError');
+            assert.equal(typeof err.message, 'string');
+        }
+    });
+});
+
+describe('Check Character', () => {
+
+    const T = 1731451200123;
+
+    it('should append a check char that verifies', () => {
+        const id = timeIDr.newCheckedID(T, 12, '-');
+        assert.equal(id.length, 8 + 1 + 12 + 1);
+        assert.equal(id[id.length - 1], timeIDr.checkChar(id.substring(0, id.length - 1)));
+
+        const decoded = timeIDr.decodeCheckedID(id, '-');
+        assert.equal(decoded.time, T);
+        assert.equal(decoded.randomness.length, 12);
+        assert.equal(decoded.check, id[id.length - 1]);
+        assert.equal(decoded.tIDr, id);
+        assert.equal(timeIDr.parse(id, { delimiter: '-', length: 12, check: true }).tIDr, id);
+    });
+
+    it('should detect every single-character substitution', () => {
+        const id = timeIDr.newCheckedID(T);
+        const dict = timeID.CHAR_DICT;
+        for (let i = 0; i < id.length; i++) {
+            for (const c of dict) {
+                if (c === id[i]) continue;
+                const typo = id.substring(0, i) + c + id.substring(i + 1);
+                assert.equal(timeIDr.isValid(typo, { check: true }), false, typo);
+            }
+        }
+    });
+
+    it('should report checksum failures distinctly from format errors', () => {
+        const id = timeIDr.newCheckedID(T);
+        const typo = id.substring(0, 3) + (id[3] === 'A' ? 'B' : 'A') + id.substring(4);
+
+        assert.throws(() => timeIDr.parse(typo, { check: true }), (e) => e.code === TimeIDParseError.CHECKSUM_MISMATCH && e.offset === id.length - 1);
+        assert.throws(() => timeIDr.decodeCheckedID(typo), (e) => e instanceof TimeIDParseError && e.code === TimeIDParseError.CHECKSUM_MISMATCH);
+
+        const garbage = id.substring(0, 3) + '$' + id.substring(4);
+        assert.throws(() => timeIDr.parse(garbage, { check: true }), (e) => e.code === TimeIDParseError.INVALID_CHARACTER);
+        assert.equal(timeIDr.decodeCheckedID(garbage), undefined);
+        assert.equal(timeIDr.decodeCheckedID(id.substring(0, 9)), undefined);
+        assert.equal(timeIDr.decodeCheckedID(42), undefined);
+    });
+
+    it('should check every ID of a generator configured with check', () => {
+        const gen = new TimeIDGenerator({ seed: 3, node: 5, check: true, clock: () => T });
+        const ids = [gen.newID(), gen.newMonotonicID(), gen.newTimeIDr().tIDr, ...gen.newIDs(3, { ascending: true })];
+
+        for (const id of ids) {
+            const decoded = gen.decodeID(id);
+            assert.equal(decoded.tIDr, id);
+            assert.equal(decoded.node, '05');
+            assert.equal(decoded.randomness.length, 12);
+        }
+        const id = ids[0];
+        const typo = id.substring(0, 12) + (id[12] === '0' ? '1' : '0') + id.substring(13);
+        assert.throws(() => gen.decodeID(typo), (e) => e.code === TimeIDParseError.CHECKSUM_MISMATCH);
+        assert.equal(gen.decodeID(id.substring(0, 11)), undefined);
+    });
+
+    it('should keep checked monotonic IDs ascending', () => {
+        const gen = new TimeIDGenerator({ check: true, clock: () => T });
+        const ids = gen.newIDs(100, { ascending: true });
+        assert.deepEqual([...ids].sort(), ids);
+    });
+});
+
+describe('Name-Based IDs', () => {
+
+    const T = 1731451200123;
+
+    it('should derive the same ID from the same namespace, name and time', async () => {
+        const id = await timeIDr.fromName('orders', 'checkout-42', T);
+        assert.equal(id, '0PCYYA9wCEDyTS~0tUig');
+        assert.equal(await timeIDr.fromName('orders', 'checkout-42', new Date(T)), id);
+        assert.equal(timeIDr.decodeID(id).time, T);
+        assert.equal(id.substring(0, 8), timeID.encodeTime(T));
+    });
+
+    it('should change the suffix with any input', async () => {
+        const id = await timeIDr.fromName('orders', 'checkout-42', T);
+        const others = await Promise.all([
+            timeIDr.fromName('orders', 'checkout-43', T),
+            timeIDr.fromName('refunds', 'checkout-42', T),
+            timeIDr.fromName('order', 'scheckout-42', T),
+            timeIDr.fromName('orders', 'checkout-42', T + 1)
+        ]);
+        for (const other of others) assert.notEqual(other.substring(8), id.substring(8));
+    });
+
+    it('should support delimiters, long suffixes and binary names', async () => {
+        const id = await timeIDr.fromName('ns', new Uint8Array([0, 1, 2]), T, 100, '-');
+        assert.equal(id.length, 8 + 1 + 100);
+        assert.ok(timeIDr.isValid(id, { delimiter: '-', length: 100 }));
+        assert.equal(await timeIDr.fromName(new TextEncoder().encode('ns'), new Uint8Array([0, 1, 2]), T, 100, '-'), id);
+    });
+
+    it('should verify an ID against its name', async () => {
+        const id = await timeIDr.fromName('orders', 'checkout-42', T, 21, '-');
+
+        assert.equal(await timeIDr.isFromName(id, 'orders', 'checkout-42', '-'), true);
+        assert.equal(await timeIDr.isFromName(id, 'orders', 'checkout-43', '-'), false);
+        assert.equal(await timeIDr.isFromName(id, 'orders', 'checkout-42'), false);
+        assert.equal(await timeIDr.isFromName(timeIDr.newID(T, 21, '-'), 'orders', 'checkout-42', '-'), false);
+        assert.equal(await timeIDr.isFromName(id.substring(0, 20), 'orders', 'checkout-42', '-'), false);
+        assert.equal(await timeIDr.isFromName(42, 'orders', 'checkout-42'), false);
+    });
+
+    it('should reject invalid namespaces and names', async () => {
+        await assert.rejects(timeIDr.fromName(null, 'a', T), TypeError);
+        await assert.rejects(timeIDr.fromName('ns', 42, T), TypeError);
+        await assert.rejects(timeIDr.fromName('ns', 'a'), TypeError);
+        await assert.rejects(timeIDr.isFromName('0PCYYA9wCEDyTS~0tUig', 'ns', {}), TypeError);
+    });
+});
+
+describe('Extended Time Range', () => {
+
+    const TIMES = [-8.64e15, -(2 ** 48), -86400000, -1, 0, 1, 1731451200123, 2 ** 48 - 1, 2 ** 48, 8.64e15];
+
+    it('should round-trip signed and far-future timestamps', () => {
+        for (const t of TIMES) {
+            const tid = timeID.encodeTimeExtended(t);
+            assert.equal(tid.length, 10);
+            assert.equal(tid[0], '.');
+            assert.equal(timeID.decodeTime(tid), t, String(t));
+            assert.equal(timeIDr.decodeID(tid + 'xxxxxxxxxxxx').date.getTime(), t, String(t));
+        }
+        assert.equal(timeID.decodeTime(timeID.encodeTimeExtended(new Date('1900-01-01T00:00:00Z'))), Date.UTC(1900, 0, 1));
+    });
+
+    it('should sort lexicographically across the zero boundary', () => {
+        const encoded = TIMES.map(timeID.encodeTimeExtended);
+        assert.deepEqual([...encoded].sort(), encoded);
+
+        for (let i = 0; i < 1000; i++) {
+            const a = Math.round((Math.random() - 0.5) * 1.7e16);
+            const b = Math.round((Math.random() - 0.5) * 2 ** 50);
+            const [x, y] = [timeID.encodeTimeExtended(a), timeID.encodeTimeExtended(b)];
+            assert.equal(x < y, a < b, `${a} vs ${b}`);
+        }
+    });
+
+    it('should decode, parse and check extended IDs', () => {
+        const birth = Date.UTC(1961, 3, 12);
+        const id = timeIDr.newExtendedID(birth, 12, '-');
+        assert.equal(id.length, 10 + 1 + 12);
+
+        const decoded = timeIDr.decodeID(id, '-');
+        assert.equal(decoded.time, birth);
+        assert.equal(decoded.tID, id.substring(0, 10));
+        assert.equal(decoded.randomness.length, 12);
+
+        const parsed = timeIDr.parse(id, { delimiter: '-', length: 12, maxTime: 0 });
+        assert.equal(parsed.date.getTime(), birth);
+        assert.equal(parsed.tIDr, id);
+
+        const checked = id + timeIDr.checkChar(id);
+        assert.equal(timeIDr.decodeCheckedID(checked, '-').time, birth);
+        assert.equal(timeIDr.parse('usr_' + id, { prefix: 'usr_', delimiter: '-' }).time, birth);
+    });
+
+    it('should keep the 8-char format as the default', () => {
+        const id = timeIDr.newID(1731451200123);
+        assert.equal(timeID.decodeTime(id), 1731451200123);
+        assert.notEqual(id[0], '.');
+        for (const t of [2 ** 44, 2 ** 47 + 12345, 2 ** 48 - 1]) assert.equal(timeID.decodeTime(timeID.encodeTime(t)), t);
+        assert.throws(() => timeID.encodeTime(2 ** 48), RangeError);
+        assert.throws(() => timeIDr.newID(-1), TypeError);
+    });
+
+    it('should reject times outside the Date range at both ends', () => {
+        assert.throws(() => timeID.encodeTimeExtended(8.64e15 + 1), RangeError);
+        assert.throws(() => timeID.encodeTimeExtended(-8.64e15 - 1), RangeError);
+        assert.throws(() => timeID.encodeTimeExtended(Number.MAX_SAFE_INTEGER), RangeError);
+
+        // Well-formed prefixes one ms past either end, and the lowest and highest possible ones
+        assert.equal(timeID.encodeTimeExtended(-8.64e15), '.1JVSy9000');
+        assert.equal(timeID.encodeTimeExtended(8.64e15), '.zhWZ2s000');
+        const beyond = ['.000000000', '.1JVSy8~~~', '.zhWZ2s001', '.~~~~~~~~~'];
+        for (const tid of beyond) {
+            const id = tid + 'abcdefghijkl';
+            assert.equal(timeID.decodeTime(tid), null, tid);
+            assert.equal(timeIDr.decodeID(id), undefined, id);
+            assert.throws(() => timeIDr.parse(id), (e) => e.code === TimeIDParseError.TIME_OUT_OF_RANGE && e.offset === 0);
+        }
+    });
+
+    it('should reject invalid extended input', () => {
+        assert.throws(() => timeID.encodeTimeExtended(1.5), RangeError);
+        assert.throws(() => timeID.encodeTimeExtended(NaN), RangeError);
+        assert.throws(() => timeID.encodeTimeExtended('1'), TypeError);
+        assert.equal(timeID.decodeTime('.00000000'), null);
+        assert.equal(timeID.decodeTime('.0000$0000'), null);
+        assert.equal(timeIDr.decodeID('.0000$0000xxxxxxxxxxxx'), undefined);
+        assert.throws(() => timeIDr.parse('.0000$0000xxxxxxxxxxxx'), (e) => e.code === TimeIDParseError.INVALID_CHARACTER && e.offset === 5);
+    });
+});
+
+describe('Bulk Generation', () => {
+
+    it('should generate the requested number of unique IDs', () => {
+        const ids = timeIDr.newIDs(5000);
+        assert.equal(ids.length, 5000);
+        assert.equal(new Set(ids).size, 5000);
+        for (const id of ids.slice(0, 10)) assert.ok(timeIDr.isValid(id, { length: 12 }));
+    });
+
+    it('should honor length, delimiter and a fixed time', () => {
+        const ids = timeIDr.newIDs(50, { length: 21, delimiter: '-', dateTime: new Date(1731451200123) });
+        for (const id of ids) {
+            const parsed = timeIDr.parse(id, { length: 21, delimiter: '-' });
+            assert.equal(parsed.time, 1731451200123);
+        }
+    });
+
+    it('should produce strictly ascending output when requested', () => {
+        const ids = timeIDr.newIDs(2000, { ascending: true });
+        for (let i = 1; i < ids.length; i++) assert.ok(ids[i - 1] < ids[i], `${ids[i - 1]} < ${ids[i]}`);
+
+        const fixed = timeIDr.newIDs(500, { ascending: true, dateTime: 1731451200123, length: 16 });
+        assert.deepEqual([...fixed].sort(), fixed);
+    });
+
+    it('should write into a caller-provided array', () => {
+        const buffer = new Array(10).fill(null);
+        const result = timeIDr.newIDs(4, { into: buffer, offset: 3 });
+
+        assert.equal(result, buffer);
+        assert.deepEqual(buffer.slice(0, 3), [null, null, null]);
+        assert.ok(buffer.slice(3, 7).every((id) => typeof id === 'string' && id.length === 20));
+        assert.deepEqual(buffer.slice(7), [null, null, null]);
+    });
+
+    it('should be reproducible on a seeded generator', () => {
+        const options = { dateTime: 1731451200123 };
+        assert.deepEqual(new TimeIDGenerator({ seed: 3 }).newIDs(20, options), new TimeIDGenerator({ seed: 3 }).newIDs(20, options));
+    });
+
+    it('should reject invalid counts', () => {
+        assert.throws(() => timeIDr.newIDs(-1), RangeError);
+        assert.throws(() => timeIDr.newIDs(1.5), RangeError);
+        assert.throws(() => timeIDr.newIDs(1, { into: 'nope' }), TypeError);
+        assert.deepEqual(timeIDr.newIDs(0), []);
+    });
+
+    it('should reject offsets that would leave holes', () => {
+        const buffer = new Array(4).fill(null);
+        assert.throws(() => timeIDr.newIDs(2, { into: buffer, offset: -1 }), RangeError);
+        assert.throws(() => timeIDr.newIDs(2, { into: buffer, offset: 1.5 }), RangeError);
+        assert.throws(() => timeIDr.newIDs(2, { into: buffer, offset: 5 }), RangeError);
+        assert.throws(() => timeIDr.newIDs(2, { offset: 1 }), TypeError);
+        assert.deepEqual(buffer, [null, null, null, null]);
+
+        // Appending at into.length grows the array without holes
+        timeIDr.newIDs(2, { into: buffer, offset: 4 });
+        assert.equal(buffer.length, 6);
+        assert.ok(buffer.slice(4).every((id) => typeof id === 'string'));
+    });
+});
+
+describe('Time-Range Boundaries', () => {
+
+    const T = 1731451200123;
+
+    it('should build min/max IDs that bracket every ID of a time', () => {
+        const min = timeIDr.minForTime(T);
+        const max = timeIDr.maxForTime(new Date(T));
+
+        assert.equal(min, timeID.encodeTime(T) + '000000000000');
+        assert.equal(max, timeID.encodeTime(T) + '~~~~~~~~~~~~');
+        for (let i = 0; i < 100; i++) {
+            const id = timeIDr.newID(T);
+            assert.ok(min <= id && id <= max);
+        }
+    });
+
+    it('should honor length and delimiter', () => {
+        assert.equal(timeIDr.minForTime(T, 21, '-'), timeID.encodeTime(T) + '-' + '0'.repeat(21));
+        assert.equal(timeIDr.maxForTime(T, 21, '-').length, 8 + 1 + 21);
+    });
+
+    it('should produce inclusive and exclusive bounds with rangeFor', () => {
+        const range = timeIDr.rangeFor(T, T + 5);
+        const inside = [timeIDr.newID(T), timeIDr.newID(T + 5), timeIDr.newID(T + 2, 21)];
+        const outside = [timeIDr.newID(T - 1), timeIDr.newID(T + 6)];
+
+        for (const id of inside) assert.ok(id >= range.gte && id < range.lt, `${id} should be in range`);
+        for (const id of outside) assert.ok(!(id >= range.gte && id < range.lt), `${id} should be out of range`);
+        for (const id of inside.slice(0, 2)) assert.ok(id <= range.lte);
+        assert.equal(range.lt, timeID.encodeTime(T + 6));
+        assert.equal(range.gte, timeID.encodeTime(T));
+    });
+
+    it('should bound IDs of any suffix length and delimiter from below', () => {
+        const range = timeIDr.rangeFor(T, T + 5, 12, '-');
+        const inside = [timeID.encodeTime(T) + '-000', timeID.encodeTime(T) + '0', timeID.encodeTime(T) + '.0', timeIDr.newID(T, 12, '')];
+        for (const id of inside) assert.ok(id >= range.gte && id < range.lt, `${id} should be in range`);
+        assert.ok(timeIDr.newID(T - 1, 1024, '~') < range.gte);
+    });
+
+    it('should leave the range open above the last encodable ms', () => {
+        const max = 2 ** 48 - 1;
+        const range = timeIDr.rangeFor(max - 1, max);
+        assert.equal(range.lt, null);
+        assert.equal(range.lte, '~~~~~~~~' + '~'.repeat(12));
+        assert.equal(timeIDr.rangeFor(max - 2, max - 1).lt, '~~~~~~~~');
+        assert.throws(() => timeIDr.rangeFor(max, max + 1), RangeError);
+    });
+
+    it('should reject reversed ranges', () => {
+        assert.throws(() => timeIDr.rangeFor(T + 1, T), RangeError);
+        assert.throws(() => timeIDr.prefixesFor(T + 1, T), RangeError);
+    });
+
+    it('should compute the shared time prefix', () => {
+        assert.equal(timeIDr.timePrefix(T), timeID.encodeTime(T));
+        const prefix = timeID.timePrefix(T, T + 100000);
+        assert.ok(prefix.length < 8);
+        assert.ok(timeID.encodeTime(T + 50000).startsWith(prefix));
+    });
+
+    it('should cover a range exactly with prefixesFor', () => {
+        const start = T - 5000, end = T + 300000;
+        const prefixes = timeID.prefixesFor(start, end);
+        const matches = (t) => prefixes.some((p) => timeID.encodeTime(t).startsWith(p));
+
+        assert.ok(prefixes.length < 200, 'Aligned blocks should collapse into short prefixes');
+        for (let t = start - 70; t <= start + 70; t++) assert.equal(matches(t), t >= start, `t=${t}`);
+        for (let t = end - 70; t <= end + 70; t++) assert.equal(matches(t), t <= end, `t=${t}`);
+        assert.ok(matches(T));
+    });
+
+    it('should return a single prefix for an aligned block', () => {
+        const start = 64 ** 3 * 100000;
+        assert.deepEqual(timeID.prefixesFor(start, start + 64 ** 3 - 1), [timeID.encodeTime(start).substring(0, 5)]);
+    });
+});
+
+describe('Sub-Millisecond Precision', () => {
+
+    const NS = 1731451200123456789n;
+
+    it('should append 2 chars for microseconds and 4 for nanoseconds', () => {
+        const us = timeID.encodeTimePrecise(NS);
+        const ns = timeID.encodeTimePrecise(NS, 'ns');
+
+        assert.equal(us.length, 10);
+        assert.equal(ns.length, 12);
+        assert.equal(us.substring(0, 8), timeID.encodeTime(1731451200123));
+        assert.equal(timeID.decodeTimePrecise(us), 1731451200123456000n);
+        assert.equal(timeID.decodeTimePrecise(ns, 'ns'), NS);
+    });
+
+    it('should keep the ms portion decodable by decodeTime', () => {
+        const id = timeIDr.newPreciseID(NS);
+        assert.equal(timeID.decodeTime(id), 1731451200123);
+        assert.equal(timeIDr.decodeID(id).time, 1731451200123);
+    });
+
+    it('should sort by sub-millisecond time within the same millisecond', () => {
+        const times = [1731451200123000001n, 1731451200123000999n, 1731451200123001000n, 1731451200123999999n, 1731451200124000000n];
+        for (const [precision, width] of [['us', 10], ['ns', 12]]) {
+            const ids = times.map((t) => timeIDr.newPreciseID(t, 12, '', precision));
+            for (let i = 1; i < ids.length; i++) {
+                const a = ids[i - 1].substring(0, width), b = ids[i].substring(0, width);
+                assert.ok(precision === 'us' && i === 1 ? a <= b : a < b, `${precision}: ${a} should sort before ${b}`);
+            }
+        }
+    });
+
+    it('should decode full precision as bigint and fractional ms', () => {
+        const id = timeIDr.newPreciseID(NS, 16, '-', 'ns');
+        const decoded = timeIDr.decodePreciseID(id, '-', 'ns');
+
+        assert.ok(decoded instanceof TimeIDPrecise);
+        assert.ok(decoded instanceof timeIDr);
+        assert.equal(decoded.timeNs, NS);
+        assert.equal(decoded.time, 1731451200123);
+        assert.ok(Math.abs(decoded.preciseTime - 1731451200123.456789) < 1e-3);
+        assert.equal(decoded.randomness.length, 16);
+        assert.equal(decoded.tIDr, id);
+    });
+
+    it('should accept fractional ms and Date inputs', () => {
+        assert.equal(timeID.decodeTimePrecise(timeID.encodeTimePrecise(1731451200123.5)), 1731451200123500000n);
+        assert.equal(timeID.decodeTimePrecise(timeID.encodeTimePrecise(new Date(1731451200123))), 1731451200123000000n);
+    });
+
+    it('should default to the high-resolution clock', () => {
+        const before = timeID.nowNs();
+        const decoded = timeIDr.decodePreciseID(timeIDr.newPreciseID());
+        const after = timeID.nowNs();
+
+        assert.equal(typeof before, 'bigint');
+        assert.ok(decoded.timeNs / 1000n >= before / 1000n && decoded.timeNs <= after);
+    });
+
+    it('should reject invalid input', () => {
+        assert.throws(() => timeID.encodeTimePrecise(NS, 'ps'), TypeError);
+        assert.throws(() => timeID.encodeTimePrecise(-1n), TypeError);
+        assert.equal(timeID.decodeTimePrecise('0Q5KoHZP~~'), null, 'Sub-ms value out of range');
+        assert.equal(timeIDr.decodePreciseID(timeIDr.newPreciseID(NS, 12, '-'), '.'), undefined);
+        assert.equal(timeIDr.decodePreciseID(42), undefined);
+    });
+});
+
 describe('Internal Integrity', () => {
     it('CHAR_DICT should be ASCII sort safe', () => {
         const dict = timeID.CHAR_DICT;
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { timeIDr, TimeIDParseError } from '../src/timeID.js';
+import { defineIDType } from '../src/types.js';
+
+describe('Typed IDs', () => {
+
+    const User = defineIDType('usr');
+    const Order = defineIDType('ord', { length: 16, delimiter: '-' });
+
+    it('should prepend the type prefix to new IDs', () => {
+        const now = 1731451200123;
+        const id = User.new(now);
+
+        assert.equal(User.prefix, 'usr_');
+        assert.equal(id.length, 4 + 8 + 12);
+        assert.ok(id.startsWith('usr_'));
+        assert.equal(id.substring(4, 12), timeIDr.newID(now).substring(0, 8));
+    });
+
+    it('should parse the time and suffix after the prefix', () => {
+        const now = 1731451200456;
+        const id = Order.new(now);
+        const parsed = Order.parse(id);
+
+        assert.equal(parsed.time, now);
+        assert.equal(parsed.randomness.length, 16);
+        assert.equal(Order.prefix + parsed.tIDr, id);
+        assert.ok(Order.is(id));
+    });
+
+    it('should keep sort order within a type', () => {
+        const ids = [User.new(1000), User.new(2000), User.new(3000)];
+        assert.deepEqual([...ids].sort(), ids);
+    });
+
+    it('should reject IDs of another type on decode', () => {
+        const id = User.new();
+        assert.equal(Order.is(id), false);
+        assert.equal(defineIDType('us').is(id), false);
+        assert.equal(defineIDType('usrx').is(id), false);
+        assert.throws(() => Order.parse(id), (e) => e instanceof TimeIDParseError && e.code === TimeIDParseError.TYPE_MISMATCH && e.offset === 0);
+        assert.throws(() => User.parse(id.substring(4)), (e) => e.code === TimeIDParseError.TYPE_MISMATCH);
+    });
+
+    it('should report offsets relative to the whole ID', () => {
+        const id = User.new();
+        const bad = id.substring(0, 6) + '$' + id.substring(7);
+        assert.throws(() => User.parse(bad), (e) => e.code === TimeIDParseError.INVALID_CHARACTER && e.offset === 6);
+        assert.throws(() => Order.parse(Order.new().replace('-', '.')), (e) => e.code === TimeIDParseError.DELIMITER_MISMATCH && e.offset === 12);
+        assert.throws(() => User.parse(id + 'x'), (e) => e.code === TimeIDParseError.LENGTH_MISMATCH);
+        assert.equal(User.is(42), false);
+    });
+
+    it('should support a custom separator', () => {
+        const Invoice = defineIDType('inv', { separator: '' });
+        const id = Invoice.new();
+        assert.equal(id.length, 3 + 8 + 12);
+        assert.ok(Invoice.is(id));
+    });
+
+    it('should reject invalid type definitions', () => {
+        assert.throws(() => defineIDType(''), TypeError);
+        assert.throws(() => defineIDType('us_r'), TypeError);
+        assert.throws(() => defineIDType('usr', { separator: 1 }), TypeError);
+        assert.throws(() => defineIDType('usr', { length: 8 }), RangeError);
+    });
+});
@@ -0,0 +1,238 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../src/worker.mjs';
+import { timeIDr } from '../src/timeID.js';
+
+// Mocked Workers environment: ASSETS echoes the requested path.
+const env = {
+    ASSETS: {
+        fetch: async (request) => new Response(`asset:${new URL(request.url).pathname}`, { status: 200 })
+    }
+};
+
+const call = (path, init) => worker.fetch(new Request(`https://time.divort.io${path}`, init), env);
+
+describe('Worker: Static Assets', () => {
+
+    it('should serve index.html for the root path', async () => {
+        const res = await call('/');
+        assert.equal(await res.text(), 'asset:/index.html');
+    });
+
+    it('should pass other paths through to ASSETS', async () => {
+        const res = await call('/favicon.ico');
+        assert.equal(await res.text(), 'asset:/favicon.ico');
+    });
+});
+
+describe('Worker: Module Load', () => {
+
+    it('should not generate random values while the module loads', async () => {
+        // Workers throw on crypto.getRandomValues in global scope; mimic that for a fresh module instance
+        const original = crypto.getRandomValues;
+        crypto.getRandomValues = () => { throw new Error('Disallowed operation called within global scope'); };
+        let mod;
+        try {
+            mod = await import('../src/timeID.js?global-scope');
+            assert.ok(mod.timeIDr.isValid(mod.timeIDr.newID()));
+        } finally {
+            crypto.getRandomValues = original;
+        }
+        assert.ok(mod.timeIDr.isValid(mod.timeIDr.newSecureID()));
+    });
+});
+
+describe('Worker: GET /api/id', () => {
+
+    it('should return a single default ID as JSON', async () => {
+        const res = await call('/api/id');
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('Content-Type'), /application\/json/);
+        assert.equal(res.headers.get('Access-Control-Allow-Origin'), '*');
+        assert.equal(body.ids.length, 1);
+        assert.equal(body.ids[0].length, 20);
+        assert.ok(timeIDr.decodeID(body.ids[0]) instanceof timeIDr);
+    });
+
+    it('should honor count, length and delimiter', async () => {
+        const res = await call('/api/id?count=5&length=21&delimiter=-');
+        const body = await res.json();
+
+        assert.equal(body.ids.length, 5);
+        assert.equal(new Set(body.ids).size, 5);
+        for (const id of body.ids) {
+            assert.equal(id.length, 8 + 1 + 21);
+            assert.equal(timeIDr.decodeID(id, '-').randomness.length, 21);
+        }
+    });
+
+    it('should return plain text and NDJSON formats', async () => {
+        const text = await call('/api/id?count=3&format=text');
+        assert.match(text.headers.get('Content-Type'), /text\/plain/);
+        assert.equal((await text.text()).trim().split('\n').length, 3);
+
+        const ndjson = await call('/api/id?count=3&format=ndjson');
+        assert.equal(ndjson.headers.get('Content-Type'), 'application/x-ndjson');
+        const lines = (await ndjson.text()).trim().split('\n').map((l) => JSON.parse(l));
+        assert.equal(lines.length, 3);
+        assert.equal(lines[0].id.length, 20);
+    });
+
+    it('should reject invalid parameters with a JSON error body', async () => {
+        for (const query of ['count=0', 'count=1001', 'count=abc', 'length=5', 'length=2000', 'format=xml', 'delimiter=123456789']) {
+            const res = await call(`/api/id?${query}`);
+            const body = await res.json();
+
+            assert.equal(res.status, 400, query);
+            assert.equal(body.error.status, 400);
+            assert.equal(typeof body.error.code, 'string');
+            assert.equal(typeof body.error.message, 'string');
+        }
+
+        for (const delimiter of ['a', '-0', '~', '\n', '\t', '\u0000', '-\u007f', '\u0085']) {
+            const res = await call(`/api/id?delimiter=${encodeURIComponent(delimiter)}`);
+            assert.equal(res.status, 400, JSON.stringify(delimiter));
+            assert.equal((await res.json()).error.code, 'invalid_parameter');
+        }
+        for (const delimiter of ['-', '.', ':', '::', '—']) {
+            assert.equal((await call(`/api/id?delimiter=${encodeURIComponent(delimiter)}`)).status, 200, delimiter);
+        }
+    });
+
+    it('should reject unsupported methods and unknown routes', async () => {
+        const post = await call('/api/id', { method: 'POST' });
+        assert.equal(post.status, 405);
+        assert.equal((await post.json()).error.code, 'method_not_allowed');
+
+        const missing = await call('/api/nope');
+        assert.equal(missing.status, 404);
+        assert.equal((await missing.json()).error.code, 'not_found');
+    });
+
+    it('should answer CORS preflight requests', async () => {
+        const res = await call('/api/id', { method: 'OPTIONS' });
+        assert.equal(res.status, 204);
+        assert.match(res.headers.get('Access-Control-Allow-Methods'), /GET/);
+    });
+});
+
+describe('Worker: Decode API', () => {
+
+    it('should decode a batch of IDs posted as JSON', async () => {
+        const now = 1731451200123;
+        const ids = [timeIDr.newID(now), timeIDr.newID(now, 21, '-'), 'bad$char', 42];
+        const res = await call('/api/decode', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids })
+        });
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.count, 4);
+        assert.equal(body.invalid, 2);
+
+        const [plain, delimited, badChar, notString] = body.results;
+        assert.equal(plain.valid, true);
+        assert.equal(plain.epoch, now);
+        assert.equal(plain.time, new Date(now).toISOString());
+        assert.equal(plain.delimiter, '');
+        assert.equal(plain.randomness.length, 12);
+
+        assert.equal(delimited.delimiter, '-');
+        assert.equal(delimited.randomness.length, 21);
+
+        assert.deepEqual(badChar.error, { code: 'invalid_character', message: `Invalid timestamp character '$' at offset 3`, offset: 3 });
+        assert.equal(notString.error.code, 'invalid_type');
+    });
+
+    it('should decode plain text bodies line by line', async () => {
+        const ids = [timeIDr.newID(), timeIDr.newID()];
+        const res = await call('/api/decode', { method: 'POST', body: ids.join('\n') + '\n\n' });
+        const body = await res.json();
+
+        assert.equal(body.count, 2);
+        assert.ok(body.results.every((r) => r.valid));
+    });
+
+    it('should validate against an explicit delimiter', async () => {
+        const id = timeIDr.newID(new Date(), 12, '-');
+        const res = await call('/api/decode', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids: [id], delimiter: '.' })
+        });
+        const [result] = (await res.json()).results;
+
+        assert.equal(result.valid, false);
+        assert.equal(result.error.code, 'delimiter_mismatch');
+    });
+
+    it('should reject malformed or oversized batches', async () => {
+        const bad = await call('/api/decode', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' });
+        assert.equal((await bad.json()).error.code, 'invalid_body');
+
+        const empty = await call('/api/decode', { method: 'POST', body: '' });
+        assert.equal(empty.status, 400);
+
+        const big = await call('/api/decode', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(new Array(1001).fill('08kL_1z2'))
+        });
+        assert.equal((await big.json()).error.code, 'out_of_range');
+    });
+
+    it('should decode a single ID from the path', async () => {
+        const now = 1731451200456;
+        const id = timeIDr.newID(now, 12, '.');
+        const res = await call(`/api/decode/${encodeURIComponent(id)}`);
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.epoch, now);
+        assert.equal(body.delimiter, '.');
+    });
+
+    it('should decode extended IDs', async () => {
+        const past = Date.UTC(1900, 0, 1);
+        const id = timeIDr.newExtendedID(past, 12, '-');
+        const res = await call(`/api/decode/${encodeURIComponent(id)}`);
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.epoch, past);
+        assert.equal(body.time, '1900-01-01T00:00:00.000Z');
+        assert.equal(body.timePart, id.substring(0, 10));
+        assert.equal(body.delimiter, '-');
+        assert.equal(body.randomness, id.substring(11));
+
+        const plain = timeIDr.newExtendedID(1731451200456);
+        const batch = await call('/api/decode', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids: [plain, id, '.V~~~vrQG'], delimiter: '' })
+        });
+        const [ok, mismatch, short] = (await batch.json()).results;
+        assert.equal(ok.epoch, 1731451200456);
+        assert.equal(ok.randomness, plain.substring(10));
+        assert.deepEqual(mismatch.error, { code: 'invalid_character', message: `Invalid randomness character '-' at offset 10`, offset: 10 });
+        assert.equal(short.error.code, 'too_short');
+
+        const bad = await (await call('/api/decode/.V~~$vrQG0KDsNXh5QwHoI')).json();
+        assert.equal(bad.error.offset, 4);
+        const outOfRange = await (await call('/api/decode/.~~~~~~~~~KDsNXh5QwHoI')).json();
+        assert.equal(outOfRange.error.code, 'invalid_time');
+    });
+
+    it('should respond 422 with a reason for an invalid single ID', async () => {
+        const res = await call('/api/decode/short');
+        const body = await res.json();
+
+        assert.equal(res.status, 422);
+        assert.equal(body.valid, false);
+        assert.equal(body.error.code, 'too_short');
+    });
+});